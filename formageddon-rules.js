@@ -0,0 +1,139 @@
+/**
+ * Optional format rules for data-rule: card numbers, IBANs, ISBNs, UUIDs, slugs, phone numbers and postcodes.
+ * Load it after formageddon.js so only pages that use the rules pay for them.
+ */
+(() => {
+  "use strict";
+
+  /**
+   * Whether a card number passes the Luhn checksum.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function isLuhn(value) {
+    const digits = value.replace(/[\s-]/g, "");
+    if (!/^\d{12,19}$/.test(digits)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Whether an IBAN has a valid shape and ISO 13616 mod-97 check digits.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function isIban(value) {
+    const iban = value.replace(/\s/g, "").toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+    // Move the country and check digits to the end, then read letters as 10-35
+    const digits = [...(iban.slice(4) + iban.slice(0, 4))]
+      .map((char) => parseInt(char, 36))
+      .join("");
+
+    let remainder = 0;
+    for (const digit of digits)
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    return remainder === 1;
+  }
+
+  /**
+   * Whether a value is an ISBN-10 or ISBN-13 with a valid check digit.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function isIsbn(value) {
+    const isbn = value.replace(/[\s-]/g, "").toUpperCase();
+
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+      const sum = [...isbn].reduce(
+        (total, char, i) =>
+          total + (char === "X" ? 10 : Number(char)) * (10 - i),
+        0,
+      );
+      return sum % 11 === 0;
+    }
+
+    if (/^\d{13}$/.test(isbn)) {
+      const sum = [...isbn].reduce(
+        (total, char, i) => total + Number(char) * (i % 2 ? 3 : 1),
+        0,
+      );
+      return sum % 10 === 0;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether a phone number has 7-15 digits, allowing a leading + and common separators.
+   * @param {string} value
+   * @returns {boolean}
+   */
+  function isPhone(value) {
+    if (!/^\+?[\d\s().-]+$/.test(value)) return false;
+
+    const digits = value.replace(/\D/g, "").length;
+    return digits >= 7 && digits <= 15;
+  }
+
+  /**
+   * @param {RegExp} regex
+   * @returns {(value: string) => boolean}
+   */
+  const matches = (regex) => (value) => regex.test(value);
+
+  /** @type {Record<string, {test: (value: string) => boolean, message: string}>} */
+  const rules = {
+    luhn: { test: isLuhn, message: "Enter a valid card number." },
+    iban: { test: isIban, message: "Enter a valid IBAN." },
+    isbn: { test: isIsbn, message: "Enter a valid ISBN." },
+    uuid: {
+      test: matches(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+      ),
+      message: "Enter a valid UUID.",
+    },
+    slug: {
+      test: matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),
+      message: "Use lowercase letters, numbers and single hyphens only.",
+    },
+    phone: { test: isPhone, message: "Enter a valid phone number." },
+    "postcode-AU": {
+      test: matches(/^\d{4}$/),
+      message: "Enter a valid postcode.",
+    },
+    "postcode-CA": {
+      test: matches(
+        /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i,
+      ),
+      message: "Enter a valid postal code.",
+    },
+    "postcode-DE": {
+      test: matches(/^\d{5}$/),
+      message: "Enter a valid postcode.",
+    },
+    "postcode-NL": {
+      test: matches(/^\d{4} ?[A-Z]{2}$/i),
+      message: "Enter a valid postcode.",
+    },
+    "postcode-UK": {
+      test: matches(/^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i),
+      message: "Enter a valid postcode.",
+    },
+    "postcode-US": {
+      test: matches(/^\d{5}(?:-\d{4})?$/),
+      message: "Enter a valid ZIP code.",
+    },
+  };
+
+  for (const [name, { test, message }] of Object.entries(rules)) {
+    globalThis.Formageddon.addRule(name, test, message);
+  }
+})();
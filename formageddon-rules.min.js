@@ -0,0 +1 @@
+(()=>{"use strict";const e=e=>t=>e.test(t),t={luhn:{test:function(e){const t=e.replace(/[\s-]/g,"");if(!/^\d{12,19}$/.test(t))return!1;let s=0;for(let e=0;e<t.length;e++){let a=Number(t[t.length-1-e]);e%2&&(a=2*a>9?2*a-9:2*a),s+=a}return s%10==0},message:"Enter a valid card number."},iban:{test:function(e){const t=e.replace(/\s/g,"").toUpperCase();if(!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(t))return!1;const s=[...t.slice(4)+t.slice(0,4)].map(e=>parseInt(e,36)).join("");let a=0;for(const e of s)a=(10*a+Number(e))%97;return 1===a},message:"Enter a valid IBAN."},isbn:{test:function(e){const t=e.replace(/[\s-]/g,"").toUpperCase();if(/^\d{9}[\dX]$/.test(t)){return[...t].reduce((e,t,s)=>e+("X"===t?10:Number(t))*(10-s),0)%11==0}if(/^\d{13}$/.test(t)){return[...t].reduce((e,t,s)=>e+Number(t)*(s%2?3:1),0)%10==0}return!1},message:"Enter a valid ISBN."},uuid:{test:e(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i),message:"Enter a valid UUID."},slug:{test:e(/^[a-z0-9]+(?:-[a-z0-9]+)*$/),message:"Use lowercase letters, numbers and single hyphens only."},phone:{test:function(e){if(!/^\+?[\d\s().-]+$/.test(e))return!1;const t=e.replace(/\D/g,"").length;return t>=7&&t<=15},message:"Enter a valid phone number."},"postcode-AU":{test:e(/^\d{4}$/),message:"Enter a valid postcode."},"postcode-CA":{test:e(/^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i),message:"Enter a valid postal code."},"postcode-DE":{test:e(/^\d{5}$/),message:"Enter a valid postcode."},"postcode-NL":{test:e(/^\d{4} ?[A-Z]{2}$/i),message:"Enter a valid postcode."},"postcode-UK":{test:e(/^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i),message:"Enter a valid postcode."},"postcode-US":{test:e(/^\d{5}(?:-\d{4})?$/),message:"Enter a valid ZIP code."}};for(const[e,{test:s,message:a}]of Object.entries(t))globalThis.Formageddon.addRule(e,s,a)})();
\ No newline at end of file
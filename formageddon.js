@@ -10,6 +10,33 @@ const Formageddon = (() => {
   /** @type {WeakSet<HTMLInputElement|HTMLButtonElement>} */
   const initialisedSubmits = new WeakSet();
 
+  /** @type {WeakSet<HTMLInputElement|HTMLButtonElement>} - data-next buttons */
+  const initialisedSteps = new WeakSet();
+
+  /** @type {WeakMap<HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement, {touched: boolean, dirty: boolean}>} */
+  const interactions = new WeakMap();
+
+  /** @type {WeakMap<HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement, string>} - Errors from Formageddon.setErrors, until the field is edited */
+  const serverErrors = new WeakMap();
+
+  /** @type {WeakSet<Element>} - Controls already checked for pre-rendered server errors, kept across destroyForm */
+  const scannedControls = new WeakSet();
+
+  /** @type {WeakMap<HTMLFormElement, ((form: HTMLFormElement) => boolean|string)[]>} - From Formageddon.addFormValidator */
+  const formValidators = new WeakMap();
+
+  /** @type {WeakSet<HTMLFormElement>} - Forms whose form-level error is shown before any field is touched, e.g. after a blocked submit */
+  const formErrorsShown = new WeakSet();
+
+  /** @type {WeakMap<HTMLFormElement, boolean>} - Last reported validity, so form-validity only fires on change */
+  const formValidity = new WeakMap();
+
+  /** @type {WeakMap<HTMLAnchorElement, HTMLElement>} - Error summary links and the controls they point to */
+  const summaryLinks = new WeakMap();
+
+  /** @type {WeakMap<HTMLFormElement, (() => void)[]>} - Listener removers run by destroyForm */
+  const teardowns = new WeakMap();
+
   /** @type {string[]} */
   const tags = ["INPUT", "TEXTAREA", "SELECT"];
 
@@ -24,10 +51,110 @@ const Formageddon = (() => {
     "pattern",
     "required",
     "data-confirm",
+    "data-gt",
+    "data-gte",
+    "data-lt",
+    "data-lte",
+    "data-not-equal",
+    "data-validator",
+    "data-remote",
+    "data-rule",
+    "data-normalize",
+    "data-max-size",
+    "data-min-size",
+    "data-max-total-size",
+    "data-max-files",
+    "data-min-width",
+    "data-min-height",
+    "data-required-if",
+    "data-required-unless",
   ];
 
-  /** @type {string[]} */
-  const validationEvents = ["input", "change", "blur"];
+  /** @type {string[]} - Attributes that point at other controls. The field re-validates when they change. */
+  const relations = [
+    "data-confirm",
+    "data-gt",
+    "data-gte",
+    "data-lt",
+    "data-lte",
+    "data-not-equal",
+    "data-required-if",
+    "data-required-unless",
+  ];
+
+  /**
+   * Rules comparing a field with another control, keyed by failure key.
+   * @type {Record<string, {attr: string, test: (value: number|string, other: number|string) => boolean}>}
+   */
+  const comparisons = {
+    confirm: { attr: "data-confirm", test: (value, other) => value === other },
+    gt: { attr: "data-gt", test: (value, other) => value > other },
+    gte: { attr: "data-gte", test: (value, other) => value >= other },
+    lt: { attr: "data-lt", test: (value, other) => value < other },
+    lte: { attr: "data-lte", test: (value, other) => value <= other },
+    notEqual: {
+      attr: "data-not-equal",
+      test: (value, other) => value !== other,
+    },
+  };
+
+  /** @type {[string, {attr: string, test: (value: number|string, other: number|string) => boolean}][]} */
+  const comparisonEntries = Object.entries(comparisons);
+
+  /** @type {string} - Fieldsets that validate their checkboxes and radios as one group */
+  const groupSelector =
+    "fieldset[data-group], fieldset[data-min-checked], fieldset[data-max-checked]";
+
+  /** @type {string[]} - Input types with fixed-width ISO values, which order correctly as strings */
+  const dateTypes = ["date", "time", "datetime-local", "month", "week"];
+
+  /**
+   * @typedef {Object} Options
+   * @property {string} validClass - Classes on the message element while the field is valid
+   * @property {string} invalidClass - Classes on the message element while the field is invalid
+   * @property {string} fieldValidClass - Classes on the field itself while it is valid
+   * @property {string} fieldInvalidClass - Classes on the field itself while it is invalid
+   * @property {string[]} events - Events that trigger validation
+   * @property {boolean} showSuccess - Whether the valid state is rendered
+   * @property {Record<string, string>} messages - Default messages by failure key
+   * @property {Record<string, Record<string, *>>} [fields] - Per-form only: constraints and messages keyed by control name
+   */
+
+  /** @type {Options} */
+  let globalOptions = {
+    validClass: "valid",
+    invalidClass: "invalid",
+    fieldValidClass: "",
+    fieldInvalidClass: "",
+    events: ["input", "change", "blur"],
+    showSuccess: true,
+    messages: {},
+  };
+
+  /** @type {WeakMap<HTMLFormElement, Partial<Options>>} - Options passed to initForm */
+  const formOptions = new WeakMap();
+
+  /** @type {string[]} - Schema keys written as native attributes. Every other key becomes data-<kebab-case> */
+  const schemaAttrs = [
+    "required",
+    "type",
+    "min",
+    "max",
+    "step",
+    "minlength",
+    "maxlength",
+    "pattern",
+    "accept",
+    "multiple",
+  ];
+
+  /** @type {Record<string, string>} - Form attributes that override the class options */
+  const classAttrs = {
+    validClass: "data-valid-class",
+    invalidClass: "data-invalid-class",
+    fieldValidClass: "data-field-valid-class",
+    fieldInvalidClass: "data-field-invalid-class",
+  };
 
   /** @type {Record<string, {attr: string, default: string}>} */
   const errors = {
@@ -72,6 +199,154 @@ const Formageddon = (() => {
   /** @type {[string, {attr: string, default: string}][]} - Pre-computed to avoid recreating on every validation */
   const errorEntries = Object.entries(errors);
 
+  /** @type {Record<string, {attr: string, default: string}>} - Checks the Validity API does not cover */
+  const customErrors = {
+    accept: {
+      attr: "data-accept-err",
+      default: "Invalid file type.",
+    },
+    confirm: {
+      attr: "data-confirm-err",
+      default: "Values do not match.",
+    },
+    gt: {
+      attr: "data-gt-err",
+      default: "The value is too small.",
+    },
+    gte: {
+      attr: "data-gte-err",
+      default: "The value is too small.",
+    },
+    lt: {
+      attr: "data-lt-err",
+      default: "The value is too large.",
+    },
+    lte: {
+      attr: "data-lte-err",
+      default: "The value is too large.",
+    },
+    notEqual: {
+      attr: "data-not-equal-err",
+      default: "Values must be different.",
+    },
+    minChecked: {
+      attr: "data-min-checked-err",
+      default: "Select at least {data-min-checked} options.",
+    },
+    maxChecked: {
+      attr: "data-max-checked-err",
+      default: "Select no more than {data-max-checked} options.",
+    },
+    server: {
+      attr: "data-server-err",
+      default: "The value is invalid.",
+    },
+    requireOneOf: {
+      attr: "data-require-one-of-err",
+      default: "Fill in at least one of these fields.",
+    },
+    form: {
+      attr: "data-form-err",
+      default: "The form is invalid.",
+    },
+    maxFiles: {
+      attr: "data-max-files-err",
+      default: "Select no more than {data-max-files} files.",
+    },
+    maxTotalSize: {
+      attr: "data-max-total-size-err",
+      default: "The files must be {data-max-total-size} or smaller in total.",
+    },
+    minSize: {
+      attr: "data-min-size-err",
+      default: "{file} must be at least {data-min-size}.",
+    },
+    maxSize: {
+      attr: "data-max-size-err",
+      default: "{file} must be {data-max-size} or smaller.",
+    },
+  };
+
+  /**
+   * File constraints, in the order they are reported. `each` checks every file on its own, so the
+   * first file failing it fills the {file} placeholder; `all` checks the selection as a whole.
+   * @type {Record<string, {attr: string, limit: (text: string) => number, each?: (file: File, limit: number) => boolean, all?: (files: File[], limit: number) => boolean}>}
+   */
+  const fileChecks = {
+    maxFiles: {
+      attr: "data-max-files",
+      limit: Number,
+      all: (files, limit) => files.length <= limit,
+    },
+    maxTotalSize: {
+      attr: "data-max-total-size",
+      limit: parseSize,
+      all: (files, limit) =>
+        files.reduce((total, file) => total + file.size, 0) <= limit,
+    },
+    minSize: {
+      attr: "data-min-size",
+      limit: parseSize,
+      each: (file, limit) => file.size >= limit,
+    },
+    maxSize: {
+      attr: "data-max-size",
+      limit: parseSize,
+      each: (file, limit) => file.size <= limit,
+    },
+  };
+
+  /** @type {Record<string, (value: string) => string>} - Transforms for data-normalize, applied in the order listed */
+  const normalizers = {
+    trim: (value) => value.trim(),
+    lowercase: (value) => value.toLowerCase(),
+    uppercase: (value) => value.toUpperCase(),
+    "collapse-whitespace": (value) => value.replace(/\s+/g, " "),
+    "digits-only": (value) => value.replace(/\D/g, ""),
+  };
+
+  /** @type {Record<string, number>} - Multipliers for data-*-size units */
+  const sizeUnits = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+  /** @type {string} - Catalog used when the field's language has no message for a key */
+  const defaultLocale = "en";
+
+  /** @type {Map<string, Record<string, string>>} - Message catalogs keyed by lower-case locale */
+  const catalogs = new Map();
+
+  /** @type {Map<string, {test: (value: string, input: HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement, signal?: AbortSignal) => boolean|Promise<boolean>, attr: string, default: string, async: boolean, debounce: number}>} */
+  const validators = new Map();
+
+  /** @type {Map<string, {test: (value: string) => boolean, attr: string, default: string, async: boolean, debounce: number}>} - Format rules for data-rule from Formageddon.addRule, kept apart from validators */
+  const formatRules = new Map();
+
+  /**
+   * Async validation state per control. A missing failure means the check is still pending.
+   * @type {WeakMap<HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement, {value: string, files: File[], failure?: string, controller: AbortController, timer: number}>}
+   */
+  const asyncStates = new WeakMap();
+
+  /** @type {WeakMap<File, Promise<{width: number, height: number}>>} - Image decodes, shared by data-min-width and data-min-height */
+  const imageLoads = new WeakMap();
+
+  /** @type {WeakMap<File, {width: number, height: number}>} - Decoded image dimensions, for the {file} placeholder */
+  const imageSizes = new WeakMap();
+
+  /**
+   * File inputs expose selected files via .files, not .value, so check both.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
+   */
+  function hasValue(input) {
+    if (isGroup(input)) {
+      return getGroupMembers(input).some((member) => member.checked);
+    }
+    if (input.type === "file") return !!(input.files && input.files.length);
+    if (input.type === "checkbox" || input.type === "radio")
+      return input.checked;
+    return !!input.value.trim();
+  }
+
   /**
    * Validates file inputs against the accept attribute.
    * The browser does not reflect accept violations in the Validity API, so this must be checked manually.
@@ -102,172 +377,1485 @@ const Formageddon = (() => {
   }
 
   /**
-   * Validates a data-confirm field against its origin element.
+   * Parses a size such as "5MB", "1.5 GB" or "2048" into bytes. Units are binary (1KB = 1024 bytes).
+   * @param {string} text
+   * @returns {number} - NaN when the size can't be read
+   */
+  function parseSize(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]?b)?\s*$/i.exec(text);
+    if (!match) {
+      console.warn(`Formageddon: unreadable file size "${text}"`);
+      return NaN;
+    }
+    return Number(match[1]) * sizeUnits[(match[2] || "b").toLowerCase()];
+  }
+
+  /**
+   * Returns the key of the first failing file constraint (data-max-files, data-max-size, ...).
+   * @param {HTMLInputElement} input
+   * @returns {string}
+   */
+  function getFileFailure(input) {
+    if (!input.files || !input.files.length) return "";
+
+    for (const key of Object.keys(fileChecks)) {
+      if (!isValidFiles(input, key)) return key;
+    }
+    return "";
+  }
+
+  /**
+   * @param {HTMLInputElement} input
+   * @param {string} key - A fileChecks key
+   * @returns {boolean}
+   */
+  function isValidFiles(input, key) {
+    const { attr, limit, each, all } = fileChecks[key];
+    if (!input.hasAttribute(attr) || !input.files || !input.files.length)
+      return true;
+
+    const files = [...input.files];
+    const value = limit(input.getAttribute(attr));
+    return each ? files.every((file) => each(file, value)) : all(files, value);
+  }
+
+  /**
+   * Returns the name of the file that breaks a constraint, for the {file} placeholder.
+   * @param {HTMLInputElement} input
+   * @param {string} key
+   * @returns {string} - Empty for constraints on the whole selection
+   */
+  function getOffendingFile(input, key) {
+    if (!input.files) return "";
+
+    const files = [...input.files];
+    let file;
+    if (fileChecks[key] && fileChecks[key].each) {
+      const { attr, limit, each } = fileChecks[key];
+      const value = limit(input.getAttribute(attr));
+      file = files.find((candidate) => !each(candidate, value));
+    } else if (key === "min-width" || key === "min-height") {
+      const min = Number(input.getAttribute(`data-${key}`));
+      const dimension = key === "min-width" ? "width" : "height";
+      file = files.find((candidate) => {
+        const size = imageSizes.get(candidate);
+        return size && size[dimension] < min;
+      });
+    }
+
+    return file ? file.name : "";
+  }
+
+  /**
+   * Decodes an image file once and resolves to its dimensions.
+   * @param {File} file
+   * @returns {Promise<{width: number, height: number}>}
+   */
+  function measureImage(file) {
+    if (!imageLoads.has(file)) {
+      imageLoads.set(
+        file,
+        createImageBitmap(file).then((bitmap) => {
+          const size = { width: bitmap.width, height: bitmap.height };
+          bitmap.close();
+          imageSizes.set(file, size);
+          return size;
+        }),
+      );
+    }
+    return imageLoads.get(file);
+  }
+
+  /**
+   * Converts a control's value for ordering: numbers for number and range inputs, raw strings otherwise.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} el
+   * @returns {number|string}
+   */
+  function toComparable(el) {
+    if (el.type === "number" || el.type === "range") return Number(el.value);
+    return dateTypes.includes(el.type) ? el.value : el.value.trim();
+  }
+
+  /**
+   * Validates a field against the control referenced by a comparison rule (e.g. data-confirm, data-gt).
    * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} key - A key of comparisons
    * @returns {boolean}
    */
-  function isValidConfirm(input) {
-    const selector = input.getAttribute("data-confirm");
+  function isValidComparison(input, key) {
+    const { attr, test } = comparisons[key];
+    const selector = input.getAttribute(attr);
     if (!selector) return true;
 
-    const origin = document.querySelector(selector);
-    if (!origin) {
-      console.warn(
-        `Formageddon: element not found for data-confirm="${selector}"`,
-      );
-      return false;
+    const origin = document.querySelector(selector);
+    if (!origin) {
+      console.warn(`Formageddon: element not found for ${attr}="${selector}"`);
+      return false;
+    }
+
+    // An empty non-required field is not a mismatch
+    if (!input.required && !input.value.trim()) return true;
+
+    // Confirm compares exact values, so an empty origin is still a mismatch
+    if (key === "confirm") return test(input.value, origin.value);
+
+    // Ordering rules need both values - required handles a missing one
+    if (!input.value.trim() || !origin.value.trim()) return true;
+
+    return test(toComparable(input), toComparable(origin));
+  }
+
+  /**
+   * Returns the key of the first failing comparison rule.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string}
+   */
+  function getComparisonFailure(input) {
+    for (const [key] of comparisonEntries) {
+      if (!isValidComparison(input, key)) return key;
+    }
+    return "";
+  }
+
+  /**
+   * Returns the validator names a field opts into. data-rule names format rules registered with addRule,
+   * and data-remote is shorthand for the built-in remote validator.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string[]}
+   */
+  function getValidatorNames(input) {
+    const rules = getRuleNames(input).filter((name) => {
+      if (formatRules.has(name)) return true;
+      console.warn(`Formageddon: unknown rule data-rule="${name}"`);
+      return false;
+    });
+    const names = (input.getAttribute("data-validator") || "")
+      .split(/\s+/)
+      .filter(Boolean);
+    if (input.hasAttribute("data-remote")) names.push("remote");
+    for (const name of ["min-width", "min-height"]) {
+      if (input.hasAttribute(`data-${name}`)) names.push(name);
+    }
+    return [...rules, ...names];
+  }
+
+  /**
+   * @param {Element} input
+   * @returns {string[]} - The names listed in data-rule
+   */
+  function getRuleNames(input) {
+    return (input.getAttribute("data-rule") || "").split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Returns what a name from getValidatorNames refers to on a field: a format rule when the field lists it in
+   * data-rule, otherwise a registered validator.
+   * @param {Element} input
+   * @param {string} name
+   * @returns {{test: Function, attr: string, default: string, async: boolean, debounce: number}|undefined}
+   */
+  function getValidator(input, name) {
+    return (
+      (getRuleNames(input).includes(name) && formatRules.get(name)) ||
+      validators.get(name)
+    );
+  }
+
+  /**
+   * Splits a condition like "#type=business" into its selector and optional value.
+   * An "=" inside an attribute selector (e.g. "[name=type]") is part of the selector.
+   * @param {string} condition
+   * @returns {{selector: string, value?: string}}
+   */
+  function parseCondition(condition) {
+    let depth = 0;
+    for (let i = 0; i < condition.length; i++) {
+      const char = condition[i];
+      if (char === "[") depth++;
+      else if (char === "]") depth--;
+      else if (char === "=" && !depth) {
+        return {
+          selector: condition.slice(0, i).trim(),
+          value: condition.slice(i + 1).trim(),
+        };
+      }
+    }
+
+    return { selector: condition.trim() };
+  }
+
+  /**
+   * Returns every control in the same form sharing the control's type and name, e.g. a radio group.
+   * @param {HTMLInputElement} control
+   * @returns {HTMLInputElement[]}
+   */
+  function getNamedGroup(control) {
+    if (!control.form || !control.name) return [control];
+    return [...control.form.elements].filter(
+      (el) => el.type === control.type && el.name === control.name,
+    );
+  }
+
+  /**
+   * Whether an element validates a set of checkboxes or radios as a whole: a group fieldset,
+   * a checkbox/radio carrying data-min-checked or data-max-checked for its shared name,
+   * or the first required radio of a set sharing a name outside a group fieldset.
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isGroup(el) {
+    if (el.tagName === "FIELDSET") return el.matches(groupSelector);
+    if (
+      el.type === "radio" &&
+      el.required &&
+      !el.closest(groupSelector) &&
+      getNamedGroup(el).find((radio) => radio.required) === el
+    )
+      return true;
+    return (
+      (el.type === "checkbox" || el.type === "radio") &&
+      (el.hasAttribute("data-min-checked") ||
+        el.hasAttribute("data-max-checked"))
+    );
+  }
+
+  /**
+   * @param {HTMLFieldSetElement|HTMLInputElement} group
+   * @returns {HTMLInputElement[]}
+   */
+  function getGroupMembers(group) {
+    if (group.tagName !== "FIELDSET") return getNamedGroup(group);
+    return [...group.elements].filter(
+      (el) => el.type === "checkbox" || el.type === "radio",
+    );
+  }
+
+  /**
+   * Returns the group validating a checkbox or radio, if any.
+   * @param {Element} el
+   * @returns {HTMLFieldSetElement|HTMLInputElement|null}
+   */
+  function getGroupOf(el) {
+    if (el.type !== "checkbox" && el.type !== "radio") return null;
+    return el.closest(groupSelector) || getNamedGroup(el).find(isGroup) || null;
+  }
+
+  /**
+   * Validates a group: required radios need a selection, and the checked count must respect data-min-checked/data-max-checked.
+   * @param {HTMLFieldSetElement|HTMLInputElement} group
+   * @returns {string} - The failing key, or an empty string
+   */
+  function getGroupFailure(group) {
+    const members = getGroupMembers(group);
+    const checked = members.filter((member) => member.checked).length;
+
+    if (!checked && members.some((member) => member.required))
+      return "valueMissing";
+
+    const min = group.getAttribute("data-min-checked");
+    if (min && checked < Number(min)) return "minChecked";
+
+    const max = group.getAttribute("data-max-checked");
+    if (max && checked > Number(max)) return "maxChecked";
+
+    return "";
+  }
+
+  /**
+   * Returns the value a control contributes, accounting for unchecked checkboxes and radio groups.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} el
+   * @returns {string}
+   */
+  function getControlValue(el) {
+    if (el.type === "radio") {
+      const checked = getNamedGroup(el).find((radio) => radio.checked);
+      return checked ? checked.value : "";
+    }
+    if (el.type === "checkbox") return el.checked ? el.value : "";
+    return el.value.trim();
+  }
+
+  /**
+   * Whether the control referenced by a condition has a value, or the given value when one is set.
+   * @param {string} attr - The attribute holding the condition, used in warnings
+   * @param {string} condition
+   * @returns {boolean}
+   */
+  function isConditionMet(attr, condition) {
+    const { selector, value } = parseCondition(condition);
+    const origin = selector && document.querySelector(selector);
+    if (!origin) {
+      console.warn(`Formageddon: element not found for ${attr}="${condition}"`);
+      return false;
+    }
+
+    const originValue = getControlValue(origin);
+    return value === undefined ? !!originValue : originValue === value;
+  }
+
+  /**
+   * Whether data-required-if or data-required-unless currently make a field required.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
+   */
+  function isConditionallyRequired(input) {
+    const requiredIf = input.getAttribute("data-required-if");
+    if (requiredIf && isConditionMet("data-required-if", requiredIf))
+      return true;
+
+    const requiredUnless = input.getAttribute("data-required-unless");
+    return (
+      !!requiredUnless &&
+      !isConditionMet("data-required-unless", requiredUnless)
+    );
+  }
+
+  /**
+   * Runs the registered validators named in data-validator.
+   * Empty fields are left to the required check, so validators only ever see a value.
+   * Async validators are not run here - only their settled result for the current value is reported.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string} - The name of the first failing validator, or an empty string
+   */
+  function getValidatorFailure(input) {
+    if (!hasValue(input)) return "";
+
+    return (
+      getValidatorNames(input).find(
+        (name) => !isValidatorPassing(input, name),
+      ) || ""
+    );
+  }
+
+  /**
+   * Whether one registered validator passes for an input with a value.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isValidatorPassing(input, name) {
+    const validator = getValidator(input, name);
+    if (!validator) {
+      console.warn(
+        `Formageddon: no validator registered for data-validator="${name}"`,
+      );
+      return false;
+    }
+
+    if (!validator.async) {
+      let result;
+      try {
+        result = validator.test(input.value, input);
+      } catch (err) {
+        console.warn(`Formageddon: validator "${name}" failed`, err);
+        return false;
+      }
+      if (!result || typeof result.then !== "function") return result;
+
+      // A Promise is truthy and would always pass, so run the validator as async from now on
+      console.warn(
+        `Formageddon: validator "${name}" returned a Promise, register it with { async: true }`,
+      );
+      result.then(null, () => {});
+      validator.async = true;
+    }
+
+    const state = asyncStates.get(input);
+    return !state || !isCurrent(state, input) || state.failure !== name;
+  }
+
+  /**
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
+   */
+  function isPending(input) {
+    const state = asyncStates.get(input);
+    return !!state && state.failure === undefined;
+  }
+
+  /**
+   * Returns the key of the first failing check for an input.
+   * Keys are native validity states, "accept", a comparison ("confirm", "gt", ...) or a registered validator name.
+   * data-required-if/unless report "valueMissing" like the native required check.
+   * Groups report "valueMissing", "minChecked" or "maxChecked", and errors from setErrors report "server".
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string} - An empty string when every check passes
+   */
+  function getFailure(input) {
+    // A server error stands until the field is edited, whatever the client-side checks say
+    if (serverErrors.has(input)) return "server";
+
+    if (isGroup(input)) return getGroupFailure(input);
+
+    // isValidAccept must be checked explicitly - the browser does not reflect accept violations in validity
+    if (!isValidAccept(input)) return "accept";
+
+    const file = getFileFailure(input);
+    if (file) return file;
+
+    // An empty compared field reports its native state (e.g. valueMissing) before a mismatch
+    const comparison = getComparisonFailure(input);
+    if (comparison && input.value.trim()) return comparison;
+
+    for (const [key] of errorEntries) {
+      if (input.validity[key]) return key;
+    }
+
+    if (!hasValue(input) && isConditionallyRequired(input))
+      return "valueMissing";
+
+    if (comparison) return comparison;
+
+    return getValidatorFailure(input);
+  }
+
+  /** @type {Record<string, string>} - Attributes that enable each native validity state */
+  const constraintAttrs = {
+    valueMissing: "required",
+    patternMismatch: "pattern",
+    tooShort: "minlength",
+    tooLong: "maxlength",
+    rangeUnderflow: "min",
+    rangeOverflow: "max",
+    stepMismatch: "step",
+  };
+
+  /**
+   * Returns the keys of every check that applies to an input, in the order getFailure runs them.
+   * Groups only report their failing key.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string[]}
+   */
+  function getRules(input) {
+    if (isGroup(input)) return [getGroupFailure(input)].filter(Boolean);
+
+    const rules = serverErrors.has(input) ? ["server"] : [];
+    if (input.hasAttribute("accept")) rules.push("accept");
+    for (const [key, { attr }] of Object.entries(fileChecks)) {
+      if (input.hasAttribute(attr)) rules.push(key);
+    }
+    for (const [key, { attr }] of comparisonEntries) {
+      if (input.hasAttribute(attr)) rules.push(key);
+    }
+    for (const [key] of errorEntries) {
+      if (
+        input.validity[key] ||
+        (constraintAttrs[key] && input.hasAttribute(constraintAttrs[key])) ||
+        (key === "typeMismatch" && ["email", "url"].includes(input.type)) ||
+        (key === "valueMissing" && isConditionallyRequired(input))
+      )
+        rules.push(key);
+    }
+    return [...rules, ...getValidatorNames(input)];
+  }
+
+  /**
+   * Returns the keys of every failing check for an input, for data-show-all-errors.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string[]}
+   */
+  function getFailures(input) {
+    if (isGroup(input)) return getRules(input);
+
+    return getRules(input).filter((key) => {
+      if (key === "server") return true;
+      if (key === "accept") return !isValidAccept(input);
+      if (fileChecks[key]) return !isValidFiles(input, key);
+      if (comparisons[key]) return !isValidComparison(input, key);
+      if (key === "valueMissing")
+        return (
+          !hasValue(input) && (input.required || isConditionallyRequired(input))
+        );
+      if (errors[key]) return input.validity[key];
+      return hasValue(input) && !isValidatorPassing(input, key);
+    });
+  }
+
+  /**
+   * Returns the appropriate error message for the current validity state of an input.
+   * The data-*-err attribute for the failing check wins over the default message.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} [key] - A failure key from getFailure, computed when omitted
+   * @returns {string}
+   */
+  function getError(input, key = getFailure(input)) {
+    if (!key) return "";
+
+    if (key === "server" && serverErrors.has(input))
+      return serverErrors.get(input);
+
+    const entry = errors[key] || customErrors[key] || getValidator(input, key);
+    const message =
+      input.getAttribute(entry ? entry.attr : `data-${key}-err`) ||
+      getCatalogMessage(input, key) ||
+      getOptions(input.form).messages[key] ||
+      (entry ? entry.default : "The value is invalid.");
+
+    return interpolate(message, input, key);
+  }
+
+  /**
+   * Resolves the options for a form: global options, then the form's data attributes, then its initForm options.
+   * @param {HTMLFormElement|null} form
+   * @returns {Options}
+   */
+  function getOptions(form) {
+    const options = { ...globalOptions };
+    if (!form) return options;
+
+    for (const [key, attr] of Object.entries(classAttrs)) {
+      if (form.hasAttribute(attr)) options[key] = form.getAttribute(attr);
+    }
+    if (form.hasAttribute("data-validate-events")) {
+      options.events = form
+        .getAttribute("data-validate-events")
+        .split(/\s+/)
+        .filter(Boolean);
+    }
+    if (form.hasAttribute("data-show-success")) {
+      options.showSuccess = form.getAttribute("data-show-success") !== "false";
+    }
+
+    const local = formOptions.get(form);
+    if (local) {
+      Object.assign(options, local, {
+        messages: { ...options.messages, ...local.messages },
+      });
+    }
+
+    return options;
+  }
+
+  /**
+   * Looks up a message in the catalog for the nearest lang attribute.
+   * Falls back from e.g. "fr-CA" to "fr", then to the default locale.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} key
+   * @returns {string}
+   */
+  function getCatalogMessage(input, key) {
+    const el = input.closest("[lang]");
+    const lang = (el && el.lang.toLowerCase()) || defaultLocale;
+
+    for (const locale of [lang, lang.split("-")[0], defaultLocale]) {
+      const catalog = catalogs.get(locale);
+      if (catalog && catalog[key]) return catalog[key];
+    }
+
+    return "";
+  }
+
+  /**
+   * Fills {placeholders} in a message, e.g. "At least {minlength} characters ({length} so far)."
+   * {value} and {length} come from the current value, {file} from the file that breaks a file constraint,
+   * and any other name from the attribute of that name. Placeholders for missing attributes are left as written.
+   * @param {string} message
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} [key] - The failing key, for {file}
+   * @returns {string}
+   */
+  function interpolate(message, input, key = "") {
+    return message.replace(/\{([\w-]+)\}/g, (match, name) => {
+      // Fieldsets have no value
+      const value = input.value || "";
+      if (name === "value") return value;
+      if (name === "length") return String(value.length);
+      if (name === "file") return getOffendingFile(input, key);
+      return input.hasAttribute(name) ? input.getAttribute(name) : match;
+    });
+  }
+
+  /**
+   * Returns the element referenced by aria-describedby, if any.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {HTMLElement|null}
+   */
+  function getMessageElement(input) {
+    const id = input.getAttribute("aria-describedby");
+    if (!id) return null;
+
+    const el = document.getElementById(id);
+    if (!el)
+      console.warn(
+        `Formageddon: element not found for aria-describedby="${id}"`,
+      );
+
+    return el;
+  }
+
+  /**
+   * Marks a control as busy while its async validators run.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {boolean} pending
+   */
+  function setPending(input, pending) {
+    if (pending) {
+      input.setAttribute("aria-busy", "true");
+    } else {
+      input.removeAttribute("aria-busy");
+    }
+
+    const target = getMessageElement(input);
+    if (target) target.classList.toggle("pending", pending);
+  }
+
+  /**
+   * Aborts any in-flight or scheduled async validation for a control.
+   * A settled result is kept - it only applies while the value is unchanged, and the native custom validity mirrors it.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   */
+  function cancelAsync(input) {
+    const state = asyncStates.get(input);
+    if (!state || state.failure !== undefined) return;
+
+    clearTimeout(state.timer);
+    state.controller.abort();
+    asyncStates.delete(input);
+    setPending(input, false);
+  }
+
+  /**
+   * Whether an async result belongs to the control's current value - and, for file inputs, the same files,
+   * since picking another file with the same name leaves the value unchanged.
+   * @param {{value: string, files: File[]}} state
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
+   */
+  function isCurrent(state, input) {
+    const files = input.files ? [...input.files] : [];
+    return (
+      state.value === input.value &&
+      state.files.length === files.length &&
+      state.files.every((file, i) => file === files[i])
+    );
+  }
+
+  /**
+   * Debounces and runs the async validators for a control's current value.
+   * A new value aborts the previous request, and the result is cached until the value changes again.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string[]} names
+   */
+  function runAsyncValidators(input, names) {
+    const current = asyncStates.get(input);
+    if (current && isCurrent(current, input)) return;
+
+    cancelAsync(input);
+
+    const attr = input.getAttribute("data-debounce");
+    const delay = attr
+      ? Number(attr)
+      : Math.max(...names.map((name) => validators.get(name).debounce));
+
+    /** @type {{value: string, files: File[], failure?: string, controller: AbortController, timer: number}} */
+    const state = {
+      value: input.value,
+      files: input.files ? [...input.files] : [],
+      controller: new AbortController(),
+      timer: 0,
+    };
+    asyncStates.set(input, state);
+    setPending(input, true);
+
+    state.timer = setTimeout(async () => {
+      const { signal } = state.controller;
+      let failure = "";
+
+      for (const name of names) {
+        let valid;
+        try {
+          valid = await validators.get(name).test(state.value, input, signal);
+        } catch (err) {
+          if (signal.aborted) return;
+          console.warn(`Formageddon: validator "${name}" failed`, err);
+          valid = false;
+        }
+
+        if (signal.aborted) return;
+        if (!valid) {
+          failure = name;
+          break;
+        }
+      }
+
+      // The value changed without an event that cancelled the check, e.g. from a script
+      if (!isCurrent(state, input)) {
+        cancelAsync(input);
+        return;
+      }
+
+      state.failure = failure;
+      setPending(input, false);
+      validateInput(input);
+      if (input.form) refreshForm(input.form);
+    }, delay);
+  }
+
+  /**
+   * Dispatches a bubbling, cancelable formageddon:<name> event.
+   * @param {EventTarget} target
+   * @param {string} name
+   * @param {Object} detail
+   * @returns {boolean} - False when a listener called preventDefault()
+   */
+  function emit(target, name, detail) {
+    return target.dispatchEvent(
+      new CustomEvent(`formageddon:${name}`, {
+        bubbles: true,
+        cancelable: true,
+        detail,
+      }),
+    );
+  }
+
+  /**
+   * @typedef {Object} Detail
+   * @property {string} key - The failing key, or "" when valid or cleared
+   * @property {string} message
+   * @property {{key: string, message: string, valid: boolean}[]} [rules] - Set in data-show-all-errors mode
+   */
+
+  /**
+   * @typedef {Object} Renderer
+   * @property {(input: HTMLElement, detail: Detail) => void} invalid
+   * @property {(input: HTMLElement, detail: Detail) => void} valid
+   * @property {(input: HTMLElement, detail: Detail) => void} clear
+   */
+
+  /**
+   * Removes one set of space-separated classes from an element and adds another.
+   * @param {Element} el
+   * @param {string} add
+   * @param {string} remove
+   */
+  function swapClasses(el, add, remove) {
+    el.classList.remove(...remove.split(/\s+/).filter(Boolean));
+    el.classList.add(...add.split(/\s+/).filter(Boolean));
+  }
+
+  /**
+   * Writes the message into a message element, or a list of rules in data-show-all-errors mode.
+   * @param {HTMLElement} target
+   * @param {Detail} detail
+   * @param {Options} options
+   */
+  function renderMessage(target, { message, rules }, options) {
+    if (!rules) {
+      target.textContent = message;
+      return;
+    }
+
+    const list = document.createElement("ul");
+    for (const rule of rules) {
+      const item = document.createElement("li");
+      item.dataset.rule = rule.key;
+      swapClasses(
+        item,
+        rule.valid ? options.validClass : options.invalidClass,
+        "",
+      );
+      item.textContent = rule.message;
+      list.append(item);
+    }
+    target.replaceChildren(list);
+  }
+
+  /**
+   * Renders feedback into the aria-describedby element and toggles the configured state classes.
+   * @type {Renderer}
+   */
+  const defaultRenderer = {
+    invalid(input, detail) {
+      const options = getOptions(input.form);
+      swapClasses(input, options.fieldInvalidClass, options.fieldValidClass);
+
+      const target = getMessageElement(input);
+      if (target) {
+        swapClasses(target, options.invalidClass, options.validClass);
+        renderMessage(target, detail, options);
+      }
+    },
+    valid(input, detail) {
+      const options = getOptions(input.form);
+      swapClasses(input, options.fieldValidClass, options.fieldInvalidClass);
+
+      const target = getMessageElement(input);
+      if (target) {
+        swapClasses(target, options.validClass, options.invalidClass);
+        renderMessage(target, detail, options);
+      }
+    },
+    clear(input) {
+      const options = getOptions(input.form);
+      swapClasses(
+        input,
+        "",
+        `${options.fieldValidClass} ${options.fieldInvalidClass}`,
+      );
+
+      const target = getMessageElement(input);
+      if (target) {
+        swapClasses(
+          target,
+          "",
+          `${options.validClass} ${options.invalidClass}`,
+        );
+        target.textContent = "";
+      }
+    },
+  };
+
+  /** @type {Renderer} */
+  let globalRenderer = defaultRenderer;
+
+  /** @type {Map<string, Renderer>} - Named renderers for data-renderer */
+  const renderers = new Map();
+
+  /**
+   * Returns the renderer named by data-renderer on the field or its form, falling back to the global renderer.
+   * @param {HTMLElement} input
+   * @returns {Renderer}
+   */
+  function getRenderer(input) {
+    const name =
+      input.getAttribute("data-renderer") ||
+      (input.form && input.form.getAttribute("data-renderer"));
+    if (!name) return globalRenderer;
+
+    const renderer = renderers.get(name);
+    if (!renderer) {
+      console.warn(
+        `Formageddon: no renderer registered for data-renderer="${name}"`,
+      );
+      return globalRenderer;
+    }
+
+    return renderer;
+  }
+
+  /**
+   * Adds the rule list to a detail for data-show-all-errors: every failing rule, or every rule with
+   * data-show-all-errors="checklist" so passing ones can be marked as the user types.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {Detail} detail
+   * @returns {Detail}
+   */
+  function withRules(input, detail) {
+    const mode = input.getAttribute("data-show-all-errors");
+    if (mode === null) return detail;
+
+    const failures = getFailures(input);
+    if (mode !== "checklist" && !failures.length) return detail;
+
+    const keys = mode === "checklist" ? getRules(input) : failures;
+    const rules = keys.map((key) => ({
+      key,
+      message: getError(input, key),
+      valid: !failures.includes(key),
+    }));
+
+    return { ...detail, rules };
+  }
+
+  /**
+   * Marks a control invalid and renders its message, unless a formageddon:invalid listener cancels the rendering.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} key - The failing key from getFailure
+   */
+  function handleInvalidInput(input, key) {
+    input.setAttribute("aria-invalid", "true");
+    const detail = withRules(input, { key, message: getError(input, key) });
+    if (emit(input, "invalid", detail))
+      getRenderer(input).invalid(input, detail);
+  }
+
+  /**
+   * Marks a control valid and renders its success message, unless a formageddon:valid listener cancels the rendering.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   */
+  function handleValidInput(input) {
+    input.setAttribute("aria-invalid", "false");
+    const message = interpolate(
+      input.getAttribute("data-success") || "",
+      input,
+    );
+    const detail = withRules(input, { key: "", message });
+    if (!emit(input, "valid", detail)) return;
+
+    const renderer = getRenderer(input);
+    if (getOptions(input.form).showSuccess) renderer.valid(input, detail);
+    else renderer.clear(input, detail);
+  }
+
+  /**
+   * Returns a control to its neutral state, unless a formageddon:cleared listener cancels the rendering.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   */
+  function clearValidation(input) {
+    input.removeAttribute("aria-invalid");
+    const detail = { key: "", message: "" };
+    if (emit(input, "cleared", detail)) getRenderer(input).clear(input, detail);
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {HTMLInputElement|HTMLButtonElement} submit
+   */
+  function handleFormSubmitControl(form, submit) {
+    submit.disabled = !isValid(form);
+  }
+
+  /**
+   * Mirrors a custom rule's failure into the native Constraint Validation API, so checkValidity(), :invalid
+   * and native submit blocking agree with Formageddon. Failures the browser already reports are left to it.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement|HTMLFieldSetElement} input
+   * @param {string} key - The failing key from getFailure, or "" to clear
+   */
+  function syncCustomValidity(input, key) {
+    const message =
+      key && !(input.validity && input.validity[key])
+        ? getError(input, key)
+        : "";
+    // A fieldset never fails checkValidity itself, so a group reports through its members
+    const targets = isGroup(input) ? getGroupMembers(input) : [input];
+    for (const target of targets) target.setCustomValidity(message);
+  }
+
+  /**
+   * Whether every control in a form or fieldset passes and no async check is pending.
+   * Managed controls are synced first, so untouched fields with custom failures count too.
+   * @param {HTMLFormElement|HTMLFieldSetElement} container
+   * @returns {boolean}
+   */
+  function isValid(container) {
+    const controls = [...container.elements];
+    for (const el of controls) {
+      if (isManaged(el))
+        syncCustomValidity(el, isSkipped(el) ? "" : getFailure(el));
+    }
+
+    return (
+      controls.every((el) => !el.willValidate || el.validity.valid) &&
+      !controls.some(isPending) &&
+      !(container.tagName === "FORM" && getFormFailure(container))
+    );
+  }
+
+  /**
+   * Returns the message of the first failing form-level rule: data-require-one-of, then each
+   * addFormValidator function in the order they were added.
+   * @param {HTMLFormElement} form
+   * @returns {string} - An empty string when every rule passes
+   */
+  function getFormFailure(form) {
+    const names = (form.getAttribute("data-require-one-of") || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    if (names.length) {
+      const controls = names.map((name) => {
+        const control = getNamedControl(form, name);
+        if (!control)
+          console.warn(
+            `Formageddon: no control named "${name}" for data-require-one-of`,
+          );
+        return control;
+      });
+      if (!controls.some((control) => control && hasValue(control)))
+        return getError(form, "requireOneOf");
+    }
+
+    for (const validator of formValidators.get(form) || []) {
+      let result;
+      try {
+        result = validator(form);
+      } catch (err) {
+        console.warn("Formageddon: form validator failed", err);
+        result = false;
+      }
+      if (typeof result === "string" && result) return result;
+      if (result !== true) return getError(form, "form");
+    }
+
+    return "";
+  }
+
+  /**
+   * Renders the form-level error into the element named by the form's aria-describedby.
+   * It stays hidden until a field has been touched or a submit was blocked.
+   * @param {HTMLFormElement} form
+   */
+  function updateFormError(form) {
+    if (!form.hasAttribute("aria-describedby")) return;
+
+    const target = getMessageElement(form);
+    if (!target) return;
+
+    const shown =
+      formErrorsShown.has(form) ||
+      [...form.elements].some((el) => {
+        const state = interactions.get(el);
+        return !!state && state.touched;
+      });
+    const message = shown ? getFormFailure(form) : "";
+    const { invalidClass } = getOptions(form);
+    swapClasses(
+      target,
+      message ? invalidClass : "",
+      message ? "" : invalidClass,
+    );
+    target.textContent = message;
+  }
+
+  /**
+   * Updates the error summary and dispatches formageddon:form-validity when the form's validity changes.
+   * @param {HTMLFormElement} form
+   */
+  function updateFormState(form) {
+    updateErrorSummary(form);
+    updateFormError(form);
+
+    const valid = isValid(form);
+    if (formValidity.get(form) === valid) return;
+
+    formValidity.set(form, valid);
+    emit(form, "form-validity", { valid });
+  }
+
+  /**
+   * Marks a data-next button aria-disabled until every control in its step is valid.
+   * It stays clickable, since a click is what validates the step and shows the user what is holding it back.
+   * @param {HTMLInputElement|HTMLButtonElement} button
+   */
+  function handleStepControl(button) {
+    const step = button.closest("fieldset[data-step]");
+    if (step && !isValid(step)) button.setAttribute("aria-disabled", "true");
+    else button.removeAttribute("aria-disabled");
+  }
+
+  /**
+   * Re-evaluates every data-submit and data-next button and the error summary on a form.
+   * Used when validity changes outside of a DOM event, e.g. when an async validator settles.
+   * @param {HTMLFormElement} form
+   */
+  function refreshForm(form) {
+    for (const el of form.elements) {
+      if (initialisedSubmits.has(el)) handleFormSubmitControl(form, el);
+      if (initialisedSteps.has(el)) handleStepControl(el);
+    }
+    updateFormState(form);
+  }
+
+  /**
+   * Rebuilds the data-error-summary list from the controls currently marked invalid.
+   * Links go into the first list in the container (one is created if missing), and the container is hidden when empty.
+   * @param {HTMLFormElement} form
+   */
+  function updateErrorSummary(form) {
+    const summary = form.querySelector("[data-error-summary]");
+    if (!summary) return;
+
+    let list = summary.querySelector("ul, ol");
+    if (!list) {
+      list = document.createElement("ul");
+      summary.appendChild(list);
+    }
+
+    const items = [];
+    for (const el of form.elements) {
+      if (!isManaged(el) || el.getAttribute("aria-invalid") !== "true")
+        continue;
+
+      const link = document.createElement("a");
+      link.href = el.id ? `#${el.id}` : "#";
+      link.textContent = getError(el);
+      summaryLinks.set(link, el);
+
+      const item = document.createElement("li");
+      item.appendChild(link);
+      items.push(item);
+    }
+
+    list.replaceChildren(...items);
+    summary.hidden = !items.length;
+  }
+
+  /**
+   * Moves focus to a summary link's control rather than relying on fragment navigation.
+   * @param {MouseEvent} event
+   */
+  function handleSummaryClick(event) {
+    const link = event.target.closest("a");
+    const control = link && summaryLinks.get(link);
+    if (!control) return;
+
+    event.preventDefault();
+    focusElement(control);
+  }
+
+  /**
+   * Scrolls to and focuses an element. Groups focus their first checkbox or radio.
+   * @param {HTMLElement} el
+   */
+  function focusElement(el) {
+    const target = (isGroup(el) && getGroupMembers(el)[0]) || el;
+
+    // scrollIntoView is missing in some environments (e.g. jsdom)
+    if (target.scrollIntoView) target.scrollIntoView({ block: "center" });
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @returns {HTMLFieldSetElement[]}
+   */
+  function getSteps(form) {
+    return [...form.querySelectorAll("fieldset[data-step]")];
+  }
+
+  /**
+   * Shows one step of a multi-step form and hides the others.
+   * Dispatches a cancelable formageddon:step event first, except for the initial render.
+   * @param {HTMLFormElement} form
+   * @param {number} index
+   * @param {boolean} [initial]
+   * @returns {boolean} - false when a listener cancelled the change
+   */
+  function showStep(form, index, initial = false) {
+    const steps = getSteps(form);
+    if (!initial && !emit(form, "step", { index, step: steps[index] }))
+      return false;
+
+    steps.forEach((step, i) => {
+      step.hidden = i !== index;
+    });
+    return true;
+  }
+
+  /**
+   * Moves between steps for data-next and data-prev buttons. Advancing validates every control in the
+   * current step first and focuses the first invalid one instead; otherwise focus moves into the new step.
+   * @param {MouseEvent} event
+   */
+  function handleStepClick(event) {
+    const form = event.currentTarget;
+    const button = event.target.closest("[data-next], [data-prev]");
+    const step = button && button.closest("fieldset[data-step]");
+    const steps = getSteps(form);
+    const index = steps.indexOf(step);
+    if (index < 0) return;
+
+    // Step buttons default to type="submit"
+    event.preventDefault();
+
+    if (button.hasAttribute("data-next")) {
+      const invalid = [...step.elements].filter(
+        (el) => initialisedInputs.has(el) && !validateInput(el),
+      );
+      refreshForm(form);
+      if (invalid.length) {
+        focusElement(invalid[0]);
+        return;
+      }
+    }
+
+    const target = index + (button.hasAttribute("data-next") ? 1 : -1);
+    if (!steps[target] || !showStep(form, target)) return;
+
+    const first = [...steps[target].elements].find(
+      (el) => el.tagName !== "FIELDSET" && el.type !== "hidden" && !el.disabled,
+    );
+    if (first) focusElement(first);
+  }
+
+  /**
+   * @param {Event & { target: HTMLFormElement }} event
+   */
+  function handleFormReset(event) {
+    for (const el of event.target.elements) {
+      if (tags.includes(el.tagName) || isGroup(el)) {
+        cancelAsync(el);
+        interactions.delete(el);
+        clearValidation(el);
+      }
+    }
+    formErrorsShown.delete(event.target);
+    if (getSteps(event.target).length) showStep(event.target, 0);
+    updateFormState(event.target);
+  }
+
+  /**
+   * Disabled and read-only controls are never validated.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
+   */
+  function isSkipped(input) {
+    if (input.disabled) return true;
+    return (
+      (input instanceof HTMLInputElement ||
+        input instanceof HTMLTextAreaElement) &&
+      input.readOnly
+    );
+  }
+
+  /**
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean} - False when the input is invalid or still waiting on an async validator
+   */
+  function validateInput(input) {
+    if (isSkipped(input)) {
+      syncCustomValidity(input, "");
+      return true;
+    }
+
+    const failure = getFailure(input);
+    syncCustomValidity(input, failure);
+    if (failure) {
+      cancelAsync(input);
+      handleInvalidInput(input, failure);
+      return false;
+    }
+
+    if (!hasValue(input)) {
+      cancelAsync(input);
+      clearValidation(input);
+      return true;
+    }
+
+    // Async validators only run once every synchronous check has passed
+    const asyncNames = getValidatorNames(input).filter(
+      (name) => getValidator(input, name).async,
+    );
+    if (asyncNames.length) {
+      runAsyncValidators(input, asyncNames);
+      if (isPending(input)) return false;
+    }
+
+    handleValidInput(input);
+    return true;
+  }
+
+  /**
+   * Validates every managed control when the form is submitted.
+   * Blocks the submission and moves focus to the error summary, or the first invalid control if there is none.
+   * Only attached to forms with data-validate="submit".
+   * @param {SubmitEvent & { target: HTMLFormElement }} event
+   */
+  function handleFormSubmit(event) {
+    // Validate every control (no short-circuit) so all errors are shown at once.
+    // Normalise first - an Enter-key submit skips the change and blur that would do it
+    const invalid = [...event.target.elements].filter((el) => {
+      if (!initialisedInputs.has(el)) return false;
+      normalize(el);
+      return !validateInput(el);
+    });
+    const formFailure = getFormFailure(event.target);
+    if (!invalid.length && !formFailure) return;
+
+    event.preventDefault();
+    if (formFailure) formErrorsShown.add(event.target);
+    refreshForm(event.target);
+
+    // Only a form-level rule failed - point the user at its message
+    if (!invalid.length) {
+      const target = getMessageElement(event.target);
+      if (target) {
+        if (!target.hasAttribute("tabindex")) target.tabIndex = -1;
+        focusElement(target);
+      }
+      return;
     }
 
-    // An empty non-required confirm field is not a mismatch
-    if (!input.required && !input.value.trim()) return true;
+    // Bring back the step holding the first invalid control, so it can be focused
+    const step = invalid[0].closest("fieldset[data-step]");
+    if (step && step.hidden)
+      showStep(event.target, getSteps(event.target).indexOf(step));
 
-    return input.value === origin.value;
+    const summary = event.target.querySelector("[data-error-summary]");
+    focusElement(summary && !summary.hidden ? summary : invalid[0]);
   }
 
   /**
-   * Returns the appropriate error message for the current validity state of an input.
-   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
-   * @returns {string}
+   * Writes a schema's constraints and messages onto the controls it names, so native validity applies as if
+   * they were in the markup. Attributes already present win. Checkbox and radio groups get them on their
+   * first control.
+   * @param {HTMLFormElement} form
+   * @param {Record<string, Record<string, *>>} fields
    */
-  function getError(input) {
-    const value = input.value.trim();
+  function applySchema(form, fields) {
+    const toAttr = (key) => key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
 
-    // Use files.length rather than value, jsdom and some edge cases leave value empty for file inputs
-    if (
-      input.type === "file" &&
-      input.hasAttribute("accept") &&
-      input.files &&
-      input.files.length &&
-      !isValidAccept(input)
-    ) {
-      return input.getAttribute("data-accept-err") || "Invalid file type.";
-    }
+    for (const [name, field] of Object.entries(fields)) {
+      const control = [...form.elements].find((el) => el.name === name);
+      if (!control) {
+        console.warn(`Formageddon: no control named "${name}" for the schema`);
+        continue;
+      }
 
-    if (input.hasAttribute("data-confirm")) {
-      if (value && !isValidConfirm(input)) {
-        return input.getAttribute("data-confirm-err") || "Values do not match.";
+      const { messages = {}, ...constraints } = field;
+      for (const [key, value] of Object.entries(constraints)) {
+        const attr = schemaAttrs.includes(key.toLowerCase())
+          ? key.toLowerCase()
+          : `data-${toAttr(key)}`;
+        setDefaultAttribute(control, attr, value);
       }
-      // Fall through to native validity (e.g. required when the confirm field is empty)
-    }
 
-    for (const [key, obj] of errorEntries) {
-      if (input.validity[key]) {
-        return input.getAttribute(obj.attr) || obj.default;
+      for (const [key, message] of Object.entries(messages)) {
+        const entry =
+          errors[key] ||
+          customErrors[key] ||
+          validators.get(key) ||
+          formatRules.get(key);
+        setDefaultAttribute(
+          control,
+          entry ? entry.attr : `data-${toAttr(key)}-err`,
+          message,
+        );
       }
     }
-
-    return "";
   }
 
   /**
-   * Returns the element referenced by aria-describedby, if any.
-   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
-   * @returns {HTMLElement|null}
+   * Sets an attribute unless the element already has it. true sets an empty attribute, false or null skip it,
+   * and arrays are space-separated.
+   * @param {Element} el
+   * @param {string} attr
+   * @param {*} value
    */
-  function getMessageElement(input) {
-    const id = input.getAttribute("aria-describedby");
-    if (!id) return null;
+  function setDefaultAttribute(el, attr, value) {
+    if (value === false || value == null || el.hasAttribute(attr)) return;
 
-    const el = document.getElementById(id);
-    if (!el)
-      console.warn(
-        `Formageddon: element not found for aria-describedby="${id}"`,
-      );
+    el.setAttribute(
+      attr,
+      value === true
+        ? ""
+        : Array.isArray(value)
+          ? value.join(" ")
+          : String(value),
+    );
+  }
 
-    return el;
+  /**
+   * Adds an event listener and records how to remove it when the owning form is destroyed.
+   * @param {HTMLFormElement} form
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {EventListener} handler
+   */
+  function listen(form, target, type, handler) {
+    target.addEventListener(type, handler);
+
+    if (!teardowns.has(form)) teardowns.set(form, []);
+    teardowns.get(form).push(() => target.removeEventListener(type, handler));
   }
 
   /**
+   * Records that the user has edited (dirty) or left (touched) a control.
    * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} type - The event type
    */
-  function handleInvalidInput(input) {
-    input.setAttribute("aria-invalid", "true");
-    const target = getMessageElement(input);
-    if (target) {
-      target.classList.add("invalid");
-      target.classList.remove("valid");
-      target.textContent = getError(input);
-    }
+  function trackInteraction(input, type) {
+    const state = interactions.get(input) || { touched: false, dirty: false };
+    if (type === "blur") state.touched = true;
+    if (type === "input" || type === "change") state.dirty = true;
+    interactions.set(input, state);
   }
 
   /**
    * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {boolean}
    */
-  function handleValidInput(input) {
-    input.setAttribute("aria-invalid", "false");
-    const target = getMessageElement(input);
-    if (target) {
-      target.classList.add("valid");
-      target.classList.remove("invalid");
-      target.textContent = input.getAttribute("data-success") || "";
-    }
+  function isInteracted(input) {
+    const state = interactions.get(input);
+    return !!state && (state.touched || state.dirty);
   }
 
   /**
+   * Returns the validation timing from data-validate-on on the field, then its form.
+   * "submit" falls back to "blur" unless the form intercepts submits, since nothing would validate the field otherwise.
    * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {string} - "input" (default), "blur", "lazy" or "submit"
    */
-  function clearValidation(input) {
-    input.removeAttribute("aria-invalid");
-    const target = getMessageElement(input);
-    if (target) {
-      target.classList.remove("invalid", "valid");
-      target.textContent = "";
-    }
+  function getTiming(input) {
+    const timing =
+      input.getAttribute("data-validate-on") ||
+      (input.form && input.form.getAttribute("data-validate-on")) ||
+      "input";
+    if (timing === "submit" && !interceptsSubmit(input.form)) return "blur";
+    return timing;
   }
 
   /**
-   * @param {HTMLFormElement} form
-   * @param {HTMLInputElement|HTMLButtonElement} submit
+   * @param {HTMLFormElement|null} form
+   * @returns {boolean} - Whether the form validates every field on submit (data-validate="submit")
    */
-  function handleFormSubmitControl(form, submit) {
-    const allValid =
-      form.checkValidity() &&
-      form.querySelectorAll("[aria-invalid=true]").length === 0;
-    submit.disabled = !allValid;
+  function interceptsSubmit(form) {
+    return !!form && form.getAttribute("data-validate") === "submit";
   }
 
   /**
-   * @param {Event & { target: HTMLFormElement }} event
+   * Decides whether an event should validate a control under its timing mode.
+   * "lazy" and "submit" switch to live validation on input while the field is showing an error.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {string} type - The event type
+   * @returns {boolean}
    */
-  function handleFormReset(event) {
-    for (const el of event.target.elements) {
-      if (tags.includes(el.tagName)) clearValidation(el);
+  function shouldValidate(input, type) {
+    const showingError = input.getAttribute("aria-invalid") === "true";
+
+    switch (getTiming(input)) {
+      case "blur":
+        return type !== "input";
+      case "lazy":
+        return type !== "input" || showingError;
+      case "submit":
+        return showingError;
+      default:
+        return true;
     }
   }
 
   /**
+   * Whether Formageddon validates a control: it must not be ignored and must opt in through a constraint attribute.
+   * Checkboxes and radios in a group are validated through the group instead.
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  function isManaged(el) {
+    if (el.hasAttribute("data-ignore")) return false;
+    if (isGroup(el)) return true;
+
+    return (
+      tags.includes(el.tagName) &&
+      !getGroupOf(el) &&
+      (serverErrors.has(el) || attrs.some((attr) => el.hasAttribute(attr)))
+    );
+  }
+
+  /**
+   * Rewrites a text control's value through the transforms named in data-normalize,
+   * so the value that is validated is the value that is submitted.
    * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
    */
-  function validateInput(input) {
-    if (input.disabled) return;
+  function normalize(input) {
+    const names = (input.getAttribute("data-normalize") || "")
+      .split(/\s+/)
+      .filter(Boolean);
     if (
-      (input instanceof HTMLInputElement ||
-        input instanceof HTMLTextAreaElement) &&
-      input.readOnly
+      !names.length ||
+      input.tagName === "SELECT" ||
+      ["checkbox", "radio", "file"].includes(input.type)
     )
       return;
 
-    // isValidAccept must be checked explicitly - the browser does not reflect accept violations in validity
-    if (
-      !isValidConfirm(input) ||
-      !input.validity.valid ||
-      !isValidAccept(input)
-    ) {
-      handleInvalidInput(input);
-      return;
-    }
-
-    // File inputs expose selected files via .files, not .value, so check both
-    const hasValue =
-      input.type === "file"
-        ? !!(input.files && input.files.length)
-        : !!input.value.trim();
+    const value = names.reduce((result, name) => {
+      if (normalizers[name]) return normalizers[name](result);
+      console.warn(`Formageddon: unknown data-normalize="${name}"`);
+      return result;
+    }, input.value);
 
-    if (hasValue) {
-      handleValidInput(input);
-    } else {
-      clearValidation(input);
-    }
+    // Only assign a changed value, which would otherwise move the caret
+    if (value !== input.value) input.value = value;
   }
 
   /**
@@ -279,30 +1867,80 @@ const Formageddon = (() => {
     if (initialisedInputs.has(input)) return;
     initialisedInputs.add(input);
 
-    validationEvents.forEach((event) =>
-      input.addEventListener(event, () => validateInput(input)),
-    );
+    /** @param {Event} event */
+    const handler = (event) => {
+      if (event.type === "blur" || event.type === "change") normalize(input);
+      // Editing the field is what resolves a server error
+      const edited =
+        (event.type === "input" || event.type === "change") &&
+        serverErrors.delete(input);
+      trackInteraction(input, event.type);
+      // Typing makes a check of the previous value stale, even under a timing mode that doesn't validate now
+      if (event.type === "input") cancelAsync(input);
+      if (shouldValidate(input, event.type)) {
+        validateInput(input);
+      } else if (edited) {
+        clearValidation(input);
+        syncCustomValidity(input, "");
+      }
+    };
+    // A group listens to its members rather than to itself, and a radio to the rest of its set,
+    // so that checking any of them validates it (and resolves a server error)
+    const targets =
+      isGroup(input) || input.type === "radio"
+        ? getGroupMembers(input)
+        : [input];
+    const { events } = getOptions(input.form);
+    for (const target of targets) {
+      events.forEach((event) => listen(input.form, target, event, handler));
+    }
+
+    // Re-validate the field whenever a control it depends on changes, once the user has interacted with it
+    /** @param {Event} event */
+    const originHandler = (event) => {
+      if (isInteracted(input) && shouldValidate(input, event.type))
+        validateInput(input);
+    };
+
+    for (const origin of getOrigins(input)) {
+      events.forEach((event) =>
+        listen(input.form, origin, event, originHandler),
+      );
+    }
+  }
 
-    if (input.hasAttribute("data-confirm")) {
-      const selector = input.getAttribute("data-confirm");
+  /**
+   * Returns the controls a field depends on through its relation attributes (e.g. the data-confirm origin).
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @returns {Element[]}
+   */
+  function getOrigins(input) {
+    const origins = [];
+
+    for (const attr of relations) {
+      if (!input.hasAttribute(attr)) continue;
+
+      const value = input.getAttribute(attr);
+      const selector =
+        attr === "data-confirm" ? value : parseCondition(value).selector;
       if (!selector) {
-        console.warn("Formageddon: data-confirm set without a selector value");
-        return;
+        console.warn(`Formageddon: ${attr} set without a selector value`);
+        continue;
       }
 
       const origin = document.querySelector(selector);
       if (!origin) {
-        console.warn(
-          `Formageddon: element not found for data-confirm="${selector}"`,
-        );
-        return;
+        console.warn(`Formageddon: element not found for ${attr}="${value}"`);
+        continue;
       }
 
-      // Re-validate the confirm field whenever the origin changes
-      validationEvents.forEach((event) =>
-        origin.addEventListener(event, () => validateInput(input)),
+      // A radio origin stands for its whole group
+      origins.push(
+        ...(origin.type === "radio" ? getNamedGroup(origin) : [origin]),
       );
     }
+
+    return origins;
   }
 
   /**
@@ -324,38 +1962,169 @@ const Formageddon = (() => {
     initialisedSubmits.add(submit);
 
     handleFormSubmitControl(form, submit);
-    validationEvents.forEach((event) =>
-      form.addEventListener(event, () => handleFormSubmitControl(form, submit)),
+    const handler = () => handleFormSubmitControl(form, submit);
+    getOptions(form).events.forEach((event) =>
+      listen(form, form, event, handler),
+    );
+  }
+
+  /**
+   * @param {HTMLFormElement} form
+   * @param {HTMLInputElement|HTMLButtonElement} button - A data-next button inside a fieldset[data-step]
+   */
+  function applyStepValidator(form, button) {
+    if (initialisedSteps.has(button)) return;
+    initialisedSteps.add(button);
+
+    handleStepControl(button);
+    const handler = () => handleStepControl(button);
+    getOptions(form).events.forEach((event) =>
+      listen(form, form, event, handler),
     );
   }
 
+  /**
+   * Adopts errors the server rendered into the page - a data-server-err attribute, or aria-invalid="true" with a
+   * message already in the aria-describedby element - as server errors that stand until the field is edited.
+   * Each control is only checked the first time it is seen, so neither an error the user has resolved nor one
+   * Formageddon rendered itself (left in place by destroyForm) is adopted when the form is initialised again.
+   * @param {HTMLFormElement} form
+   * @returns {Element[]} - The controls that were given an error
+   */
+  function adoptServerErrors(form) {
+    const adopted = [];
+
+    for (const el of form.elements) {
+      if (scannedControls.has(el)) continue;
+      scannedControls.add(el);
+      if (initialisedInputs.has(el) || el.hasAttribute("data-ignore")) continue;
+      if (!isGroup(el) && (!tags.includes(el.tagName) || getGroupOf(el)))
+        continue;
+
+      let message = el.getAttribute("data-server-err");
+      if (!message && el.getAttribute("aria-invalid") === "true") {
+        const target = getMessageElement(el);
+        message = target && target.textContent.trim();
+      }
+      if (!message) continue;
+
+      serverErrors.set(el, message);
+      adopted.push(el);
+    }
+
+    return adopted;
+  }
+
   /**
    * Initialises validation on a form.
    * Safe to call multiple times - all helpers are guarded against duplicates.
    * @param {HTMLFormElement} form
+   * @param {Partial<Options>} [options] - Overrides the global options for this form
    */
-  function initForm(form) {
-    // Only attach the reset listener the first time this form is seen
+  function initForm(form, options) {
+    if (options) {
+      const local = formOptions.get(form);
+      formOptions.set(form, {
+        ...local,
+        ...options,
+        messages: { ...(local && local.messages), ...options.messages },
+      });
+    }
+
+    // Re-applied on every init so controls added later pick up their schema too
+    const { fields } = formOptions.get(form) || {};
+    if (fields) applySchema(form, fields);
+
+    // Only attach the reset and submit listeners the first time this form is seen
     let resetAttached = initialisedForms.has(form);
 
-    for (const el of form.elements) {
-      if (tags.includes(el.tagName) && !el.hasAttribute("data-ignore")) {
-        if (attrs.some((attr) => el.hasAttribute(attr))) {
-          applyValidator(el);
-        }
+    if (
+      !initialisedForms.has(form) &&
+      form.getAttribute("data-validate") === "submit"
+    ) {
+      // Native interactive validation would stop the submit event from ever firing
+      form.noValidate = true;
+      listen(form, form, "submit", handleFormSubmit);
+    }
+
+    const summary = form.querySelector("[data-error-summary]");
+    if (!initialisedForms.has(form)) {
+      if (
+        !interceptsSubmit(form) &&
+        [form, ...form.elements].some(
+          (el) => el.getAttribute("data-validate-on") === "submit",
+        )
+      )
+        console.warn(
+          'Formageddon: data-validate-on="submit" needs data-validate="submit" on the form, validating on blur instead',
+        );
+
+      const handler = () => updateFormState(form);
+      getOptions(form).events.forEach((event) =>
+        listen(form, form, event, handler),
+      );
+
+      if (getSteps(form).length) {
+        listen(form, form, "click", handleStepClick);
+        showStep(form, 0, true);
       }
 
+      if (summary) {
+        // The summary receives focus after a failed submit
+        if (!summary.hasAttribute("tabindex")) summary.tabIndex = -1;
+        listen(form, summary, "click", handleSummaryClick);
+      }
+    }
+
+    const adopted = adoptServerErrors(form);
+
+    for (const el of form.elements) {
+      if (isManaged(el)) applyValidator(el);
+
       if (el.hasAttribute("data-submit")) {
         applySubmitValidator(form, el);
       }
 
+      if (el.hasAttribute("data-next")) applyStepValidator(form, el);
+
       if (!resetAttached && el.type === "reset") {
-        form.addEventListener("reset", handleFormReset);
+        listen(form, form, "reset", handleFormReset);
         resetAttached = true;
       }
     }
 
+    // The summary and steps are reset even without a reset button (e.g. form.reset())
+    if ((summary || getSteps(form).length) && !resetAttached)
+      listen(form, form, "reset", handleFormReset);
+
+    // Render adopted errors through the usual path, e.g. to add the .invalid class the server may have left out
+    adopted.forEach(validateInput);
+
     initialisedForms.add(form);
+    updateFormState(form);
+  }
+
+  /**
+   * Removes every listener Formageddon attached for a form and forgets it, so it can be initialised again cleanly.
+   * Rendered validation state is left in place, and so are the options passed to initForm, which the observer
+   * relies on to re-initialise a form that was detached and attached again.
+   * @param {HTMLFormElement} form
+   */
+  function destroyForm(form) {
+    const removers = teardowns.get(form);
+    if (removers) removers.forEach((remove) => remove());
+    teardowns.delete(form);
+    formValidity.delete(form);
+
+    for (const el of form.elements) {
+      cancelAsync(el);
+      if (initialisedInputs.has(el)) syncCustomValidity(el, "");
+      initialisedInputs.delete(el);
+      initialisedSubmits.delete(el);
+      initialisedSteps.delete(el);
+    }
+
+    initialisedForms.delete(form);
   }
 
   /**
@@ -367,9 +2136,308 @@ const Formageddon = (() => {
     });
   }
 
+  /**
+   * @typedef {Object} FieldResult
+   * @property {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element
+   * @property {string} name
+   * @property {boolean} valid - False when the field fails a check or is waiting on an async validator
+   * @property {boolean} pending - True while an async validator is running
+   * @property {string} key - The failing validity key (e.g. "valueMissing", "confirm"), or an empty string
+   * @property {string} message - The message getError resolves for the failing key
+   * @property {boolean} touched - True once the user has left the field
+   * @property {boolean} dirty - True once the user has edited the field
+   */
+
+  /**
+   * Validates a single control and returns a structured result.
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} input
+   * @param {{silent?: boolean}} [options] - silent computes the result without touching the DOM
+   * @returns {FieldResult}
+   */
+  function validateField(input, options = {}) {
+    if (!options.silent) validateInput(input);
+
+    const key = isSkipped(input) ? "" : getFailure(input);
+    const pending = !key && isPending(input);
+    const state = interactions.get(input);
+
+    return {
+      element: input,
+      name: input.name,
+      valid: !key && !pending,
+      pending,
+      key,
+      message: getError(input, key),
+      touched: !!state && state.touched,
+      dirty: !!state && state.dirty,
+    };
+  }
+
+  /**
+   * Validates every managed control in a form and returns a structured result.
+   * @param {HTMLFormElement} form
+   * @param {{silent?: boolean}} [options] - silent computes the result without touching the DOM
+   * @returns {{valid: boolean, fields: FieldResult[], message: string}} - message is the failing form-level rule's, or ""
+   */
+  function validateForm(form, options = {}) {
+    const fields = [...form.elements]
+      .filter(isManaged)
+      .map((el) => validateField(el, options));
+
+    const message = getFormFailure(form);
+    if (!options.silent) {
+      if (message) formErrorsShown.add(form);
+      refreshForm(form);
+    }
+
+    return {
+      valid: fields.every((field) => field.valid) && !message,
+      fields,
+      message,
+    };
+  }
+
+  /**
+   * Returns the control a server error for a name belongs to - the group for grouped checkboxes and radios.
+   * @param {HTMLFormElement} form
+   * @param {string} name
+   * @returns {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement|HTMLFieldSetElement|null}
+   */
+  function getNamedControl(form, name) {
+    const control = [...form.elements].find((el) => el.name === name);
+    return control ? getGroupOf(control) || control : null;
+  }
+
+  /**
+   * Shows errors from the server (e.g. a 422 response) on the named fields, replacing any shown before.
+   * Each one marks its field invalid, holds data-submit, and stays until the user edits that field.
+   * @param {HTMLFormElement} form
+   * @param {Record<string, string>} errors - Messages keyed by control name
+   */
+  function setErrors(form, errors) {
+    clearErrors(form);
+
+    for (const [name, message] of Object.entries(errors)) {
+      const control = getNamedControl(form, name);
+      if (!control) {
+        console.warn(`Formageddon: no control named "${name}" for setErrors`);
+        continue;
+      }
+
+      serverErrors.set(control, message);
+      applyValidator(control);
+      validateInput(control);
+    }
+
+    refreshForm(form);
+  }
+
+  /**
+   * Removes server errors from a form - all of them, or only those for the given names.
+   * Fields the user has interacted with are validated again, the others return to neutral.
+   * @param {HTMLFormElement} form
+   * @param {string[]} [names]
+   */
+  function clearErrors(form, names) {
+    const controls = names
+      ? names.map((name) => getNamedControl(form, name))
+      : [...form.elements].flatMap((el) => [el, getGroupOf(el)]);
+
+    for (const control of new Set(controls)) {
+      if (!control || !serverErrors.delete(control)) continue;
+
+      if (isInteracted(control)) {
+        validateInput(control);
+      } else {
+        clearValidation(control);
+        syncCustomValidity(control, "");
+      }
+    }
+
+    refreshForm(form);
+  }
+
+  /**
+   * Adds a form-level rule, e.g. "the percentages must add up to 100". The function receives the form and returns
+   * true when it is valid, or false or an error message when it is not. Failures render into the form's
+   * aria-describedby element and keep data-submit disabled.
+   * @param {HTMLFormElement} form
+   * @param {(form: HTMLFormElement) => boolean|string} fn
+   * @returns {() => void} - Removes the rule again
+   */
+  function addFormValidator(form, fn) {
+    formValidators.set(form, [...(formValidators.get(form) || []), fn]);
+    if (initialisedForms.has(form)) refreshForm(form);
+
+    return () => {
+      formValidators.set(
+        form,
+        (formValidators.get(form) || []).filter(
+          (validator) => validator !== fn,
+        ),
+      );
+      if (initialisedForms.has(form)) refreshForm(form);
+    };
+  }
+
+  /**
+   * Merges global options. Events are read when a form is initialised, so configure before initialising forms.
+   * @param {Partial<Options>} options
+   */
+  function configure(options) {
+    globalOptions = {
+      ...globalOptions,
+      ...options,
+      messages: { ...globalOptions.messages, ...options.messages },
+    };
+    rerenderMessages(document.documentElement);
+  }
+
+  /**
+   * Sets the global renderer, or registers a named renderer for data-renderer="name" when a name is given.
+   * Missing methods fall back to the default renderer.
+   * @param {string|Partial<Renderer>} nameOrRenderer
+   * @param {Partial<Renderer>} [renderer]
+   */
+  function setRenderer(nameOrRenderer, renderer) {
+    if (typeof nameOrRenderer === "string") {
+      renderers.set(nameOrRenderer, { ...defaultRenderer, ...renderer });
+    } else {
+      globalRenderer = { ...defaultRenderer, ...nameOrRenderer };
+    }
+  }
+
+  /**
+   * Registers a message catalog for a locale, merged into any catalog already registered for it.
+   * Keys are failure keys: validity states ("valueMissing", ...), "accept", "confirm" or validator names.
+   * The catalog is picked from the nearest lang attribute; per-field data-*-err attributes still win.
+   * @param {string} locale - e.g. "fr" or "fr-CA"
+   * @param {Record<string, string>} catalog
+   */
+  function setMessages(locale, catalog) {
+    const key = locale.toLowerCase();
+    catalogs.set(key, { ...catalogs.get(key), ...catalog });
+    rerenderMessages(document.documentElement);
+  }
+
+  /**
+   * Registers a named validator that fields opt into with data-validator="name".
+   * The message can be overridden per field with data-<name>-err.
+   * Async validators return a Promise, are debounced, and receive an AbortSignal that fires when the value changes.
+   * @param {string} name
+   * @param {(value: string, input: HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement, signal?: AbortSignal) => boolean|Promise<boolean>} fn - Returns (or resolves to) true when the value is valid
+   * @param {{message?: string, async?: boolean, debounce?: number}} [options]
+   */
+  function addValidator(name, fn, options = {}) {
+    validators.set(name, {
+      test: fn,
+      attr: `data-${name}-err`,
+      default: options.message || "The value is invalid.",
+      async: !!options.async,
+      debounce: options.debounce ?? 300,
+    });
+  }
+
+  /**
+   * Registers a format rule that fields opt into with data-rule="name", e.g. the ones in formageddon-rules.js.
+   * Rules are synchronous, receive the trimmed value, and share the data-rule-err override.
+   * Forms initialised before the rule was added are refreshed, since the rules usually load after this script.
+   * @param {string} name
+   * @param {(value: string) => boolean} test - Returns true when the value is valid
+   * @param {string} [message]
+   */
+  function addRule(name, test, message = "The value is invalid.") {
+    formatRules.set(name, {
+      test: (value) => test(value.trim()),
+      attr: "data-rule-err",
+      default: message,
+      async: false,
+      debounce: 0,
+    });
+    rerenderMessages(document.documentElement);
+  }
+
+  // data-remote="/url" - any 2xx response means the value is valid
+  addValidator(
+    "remote",
+    async (value, input, signal) => {
+      const url = new URL(input.getAttribute("data-remote"), document.baseURI);
+      url.searchParams.set(input.name || "value", value);
+      const response = await fetch(url, { signal });
+      return response.ok;
+    },
+    { async: true, message: "The value is not available." },
+  );
+
+  // data-min-width / data-min-height="px" - decodes each selected image, so these run async and hold data-submit
+  for (const [name, dimension, message] of [
+    ["min-width", "width", "{file} must be at least {data-min-width}px wide."],
+    [
+      "min-height",
+      "height",
+      "{file} must be at least {data-min-height}px tall.",
+    ],
+  ]) {
+    addValidator(
+      name,
+      async (value, input) => {
+        const min = Number(input.getAttribute(`data-${name}`));
+        for (const file of input.files || []) {
+          if (!file.type.startsWith("image/")) continue;
+          if ((await measureImage(file))[dimension] < min) return false;
+        }
+        return true;
+      },
+      { async: true, debounce: 0, message },
+    );
+  }
+
+  /**
+   * Re-renders the errors currently shown inside an element, e.g. after its lang changes.
+   * They are validated again, since a script may have changed the value without an event.
+   * @param {Element} root
+   */
+  function rerenderMessages(root) {
+    document.querySelectorAll("form").forEach((form) => {
+      if (!initialisedForms.has(form)) return;
+
+      for (const el of form.elements) {
+        if (
+          initialisedInputs.has(el) &&
+          root.contains(el) &&
+          el.getAttribute("aria-invalid") === "true"
+        ) {
+          validateInput(el);
+        }
+      }
+      refreshForm(form);
+    });
+  }
+
   const observer = new MutationObserver((mutationList) => {
     const formQueue = new Set();
 
+    for (const mutation of mutationList) {
+      if (mutation.type === "attributes") rerenderMessages(mutation.target);
+    }
+
+    // Clean up forms that left the document. Moved forms are still connected and are kept.
+    for (const mutation of mutationList) {
+      for (const node of mutation.removedNodes) {
+        if (!(node instanceof HTMLElement)) continue;
+
+        for (const el of [node, ...node.querySelectorAll("form")]) {
+          if (
+            el.tagName === "FORM" &&
+            el.hasAttribute("data-validate") &&
+            !el.isConnected
+          ) {
+            destroyForm(el);
+          }
+        }
+      }
+    }
+
     for (const mutation of mutationList) {
       for (const node of mutation.addedNodes) {
         if (!(node instanceof HTMLElement)) continue;
@@ -390,7 +2458,7 @@ const Formageddon = (() => {
     }
 
     for (const form of formQueue) {
-      initForm(form);
+      if (form.isConnected) initForm(form);
     }
   });
 
@@ -402,6 +2470,23 @@ const Formageddon = (() => {
   function init() {
     initValidators();
     observer.observe(document.body, { childList: true, subtree: true });
+    // lang usually lives on <html>, outside of body
+    observer.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ["lang"],
+      subtree: true,
+    });
+  }
+
+  /**
+   * Stops the MutationObserver and destroys every initialised form in the document.
+   * Call init() to start again.
+   */
+  function destroy() {
+    observer.disconnect();
+    document.querySelectorAll("form").forEach((form) => {
+      if (initialisedForms.has(form)) destroyForm(form);
+    });
   }
 
   if (document.readyState === "loading") {
@@ -410,7 +2495,22 @@ const Formageddon = (() => {
     init();
   }
 
-  return { init, initForm };
+  return {
+    init,
+    initForm,
+    destroy,
+    destroyForm,
+    validateForm,
+    validateField,
+    addValidator,
+    addRule,
+    setMessages,
+    setRenderer,
+    configure,
+    setErrors,
+    clearErrors,
+    addFormValidator,
+  };
 })();
 
 // Expose as a browser global and support test/module environments
@@ -1 +1 @@
-const Formageddon=(()=>{"use strict";const t=new WeakSet,e=new WeakSet,a=new WeakSet,n=["INPUT","TEXTAREA","SELECT"],r=["accept","min","max","step","minlength","maxlength","pattern","required","data-confirm"],i=["input","change","blur"],o=Object.entries({valueMissing:{attr:"data-required-err",default:"This field is required."},typeMismatch:{attr:"data-type-err",default:"The value is not the correct type."},patternMismatch:{attr:"data-pattern-err",default:"The value does not match the required pattern."},tooLong:{attr:"data-maxlength-err",default:"The value is too long."},tooShort:{attr:"data-minlength-err",default:"The value is too short."},rangeOverflow:{attr:"data-max-err",default:"The value is too large."},rangeUnderflow:{attr:"data-min-err",default:"The value is too small."},stepMismatch:{attr:"data-step-err",default:"The value does not match the step interval."},badInput:{attr:"data-type-err",default:"The input value is invalid."}});function d(t){const e=t.getAttribute("accept");if(!(e&&e.trim()&&t.files&&t.files.length))return!0;const a=e.split(",").map(t=>t.trim().toLowerCase());for(const e of t.files){const t=e.type.toLowerCase(),n=e.name.toLowerCase();if(!a.some(e=>e.startsWith(".")?n.endsWith(e):e.endsWith("/*")?t.startsWith(e.slice(0,-1)):t===e))return!1}return!0}function s(t){const e=t.getAttribute("data-confirm");if(!e)return!0;const a=document.querySelector(e);return a?!t.required&&!t.value.trim()||t.value===a.value:(console.warn(`Formageddon: element not found for data-confirm="${e}"`),!1)}function l(t){const e=t.getAttribute("aria-describedby");if(!e)return null;const a=document.getElementById(e);return a||console.warn(`Formageddon: element not found for aria-describedby="${e}"`),a}function u(t){t.setAttribute("aria-invalid","true");const e=l(t);e&&(e.classList.add("invalid"),e.classList.remove("valid"),e.textContent=function(t){const e=t.value.trim();if("file"===t.type&&t.hasAttribute("accept")&&t.files&&t.files.length&&!d(t))return t.getAttribute("data-accept-err")||"Invalid file type.";if(t.hasAttribute("data-confirm")&&e&&!s(t))return t.getAttribute("data-confirm-err")||"Values do not match.";for(const[e,a]of o)if(t.validity[e])return t.getAttribute(a.attr)||a.default;return""}(t))}function c(t){t.removeAttribute("aria-invalid");const e=l(t);e&&(e.classList.remove("invalid","valid"),e.textContent="")}function f(t,e){const a=t.checkValidity()&&0===t.querySelectorAll("[aria-invalid=true]").length;e.disabled=!a}function m(t){for(const e of t.target.elements)n.includes(e.tagName)&&c(e)}function h(t){if(t.disabled)return;if((t instanceof HTMLInputElement||t instanceof HTMLTextAreaElement)&&t.readOnly)return;if(!s(t)||!t.validity.valid||!d(t))return void u(t);("file"===t.type?!(!t.files||!t.files.length):!!t.value.trim())?function(t){t.setAttribute("aria-invalid","false");const e=l(t);e&&(e.classList.add("valid"),e.classList.remove("invalid"),e.textContent=t.getAttribute("data-success")||"")}(t):c(t)}function v(t){if(!e.has(t)&&(e.add(t),i.forEach(e=>t.addEventListener(e,()=>h(t))),t.hasAttribute("data-confirm"))){const e=t.getAttribute("data-confirm");if(!e)return void console.warn("Formageddon: data-confirm set without a selector value");const a=document.querySelector(e);if(!a)return void console.warn(`Formageddon: element not found for data-confirm="${e}"`);i.forEach(e=>a.addEventListener(e,()=>h(t)))}}function g(t,e){["INPUT","BUTTON"].includes(e.tagName)&&"submit"===e.type?a.has(e)||(a.add(e),f(t,e),i.forEach(a=>t.addEventListener(a,()=>f(t,e)))):console.warn("Formageddon: data-submit expected on an input[type=submit] or button[type=submit]")}function b(e){let a=t.has(e);for(const t of e.elements)n.includes(t.tagName)&&!t.hasAttribute("data-ignore")&&r.some(e=>t.hasAttribute(e))&&v(t),t.hasAttribute("data-submit")&&g(e,t),a||"reset"!==t.type||(e.addEventListener("reset",m),a=!0);t.add(e)}const p=new MutationObserver(t=>{const e=new Set;for(const a of t)for(const t of a.addedNodes)if(t instanceof HTMLElement)for(const a of[t,...t.querySelectorAll("*")])if("FORM"===a.tagName&&a.hasAttribute("data-validate"))e.add(a);else if(n.includes(a.tagName)){const t=a.closest("form");t&&t.hasAttribute("data-validate")&&e.add(t)}for(const t of e)b(t)});function y(){document.querySelectorAll("form[data-validate]").forEach(e=>{t.has(e)||b(e)}),p.observe(document.body,{childList:!0,subtree:!0})}return"loading"===document.readyState?document.addEventListener("DOMContentLoaded",y,{once:!0}):y(),{init:y,initForm:b}})();globalThis.Formageddon=Formageddon;
\ No newline at end of file
+const Formageddon=(()=>{"use strict";const t=new WeakSet,e=new WeakSet,a=new WeakSet,n=new WeakSet,r=new WeakMap,i=new WeakMap,o=new WeakSet,s=new WeakMap,l=new WeakSet,d=new WeakMap,u=new WeakMap,c=new WeakMap,f=["INPUT","TEXTAREA","SELECT"],m=["accept","min","max","step","minlength","maxlength","pattern","required","data-confirm","data-gt","data-gte","data-lt","data-lte","data-not-equal","data-validator","data-remote","data-rule","data-normalize","data-max-size","data-min-size","data-max-total-size","data-max-files","data-min-width","data-min-height","data-required-if","data-required-unless"],h=["data-confirm","data-gt","data-gte","data-lt","data-lte","data-not-equal","data-required-if","data-required-unless"],g={confirm:{attr:"data-confirm",test:(t,e)=>t===e},gt:{attr:"data-gt",test:(t,e)=>t>e},gte:{attr:"data-gte",test:(t,e)=>t>=e},lt:{attr:"data-lt",test:(t,e)=>t<e},lte:{attr:"data-lte",test:(t,e)=>t<=e},notEqual:{attr:"data-not-equal",test:(t,e)=>t!==e}},v=Object.entries(g),b="fieldset[data-group], fieldset[data-min-checked], fieldset[data-max-checked]",p=["date","time","datetime-local","month","week"];let y={validClass:"valid",invalidClass:"invalid",fieldValidClass:"",fieldInvalidClass:"",events:["input","change","blur"],showSuccess:!0,messages:{}};const w=new WeakMap,A=["required","type","min","max","step","minlength","maxlength","pattern","accept","multiple"],x={validClass:"data-valid-class",invalidClass:"data-invalid-class",fieldValidClass:"data-field-valid-class",fieldInvalidClass:"data-field-invalid-class"},k={valueMissing:{attr:"data-required-err",default:"This field is required."},typeMismatch:{attr:"data-type-err",default:"The value is not the correct type."},patternMismatch:{attr:"data-pattern-err",default:"The value does not match the required pattern."},tooLong:{attr:"data-maxlength-err",default:"The value is too long."},tooShort:{attr:"data-minlength-err",default:"The value is too short."},rangeOverflow:{attr:"data-max-err",default:"The value is too large."},rangeUnderflow:{attr:"data-min-err",default:"The value is too small."},stepMismatch:{attr:"data-step-err",default:"The value does not match the step interval."},badInput:{attr:"data-type-err",default:"The input value is invalid."}},C=Object.entries(k),E={accept:{attr:"data-accept-err",default:"Invalid file type."},confirm:{attr:"data-confirm-err",default:"Values do not match."},gt:{attr:"data-gt-err",default:"The value is too small."},gte:{attr:"data-gte-err",default:"The value is too small."},lt:{attr:"data-lt-err",default:"The value is too large."},lte:{attr:"data-lte-err",default:"The value is too large."},notEqual:{attr:"data-not-equal-err",default:"Values must be different."},minChecked:{attr:"data-min-checked-err",default:"Select at least {data-min-checked} options."},maxChecked:{attr:"data-max-checked-err",default:"Select no more than {data-max-checked} options."},server:{attr:"data-server-err",default:"The value is invalid."},requireOneOf:{attr:"data-require-one-of-err",default:"Fill in at least one of these fields."},form:{attr:"data-form-err",default:"The form is invalid."},maxFiles:{attr:"data-max-files-err",default:"Select no more than {data-max-files} files."},maxTotalSize:{attr:"data-max-total-size-err",default:"The files must be {data-max-total-size} or smaller in total."},minSize:{attr:"data-min-size-err",default:"{file} must be at least {data-min-size}."},maxSize:{attr:"data-max-size-err",default:"{file} must be {data-max-size} or smaller."}},S={maxFiles:{attr:"data-max-files",limit:Number,all:(t,e)=>t.length<=e},maxTotalSize:{attr:"data-max-total-size",limit:V,all:(t,e)=>t.reduce((t,e)=>t+e.size,0)<=e},minSize:{attr:"data-min-size",limit:V,each:(t,e)=>t.size>=e},maxSize:{attr:"data-max-size",limit:V,each:(t,e)=>t.size<=e}},q={trim:t=>t.trim(),lowercase:t=>t.toLowerCase(),uppercase:t=>t.toUpperCase(),"collapse-whitespace":t=>t.replace(/\s+/g," "),"digits-only":t=>t.replace(/\D/g,"")},T={b:1,kb:1024,mb:1048576,gb:1024**3},M="en",F=new Map,$=new Map,L=new Map,N=new WeakMap,z=new WeakMap,O=new WeakMap;function W(t){return G(t)?J(t).some(t=>t.checked):"file"===t.type?!(!t.files||!t.files.length):"checkbox"===t.type||"radio"===t.type?t.checked:!!t.value.trim()}function I(t){const e=t.getAttribute("accept");if(!(e&&e.trim()&&t.files&&t.files.length))return!0;const a=e.split(",").map(t=>t.trim().toLowerCase());for(const e of t.files){const t=e.type.toLowerCase(),n=e.name.toLowerCase();if(!a.some(e=>e.startsWith(".")?n.endsWith(e):e.endsWith("/*")?t.startsWith(e.slice(0,-1)):t===e))return!1}return!0}function V(t){const e=/^\s*(\d+(?:\.\d+)?)\s*([kmg]?b)?\s*$/i.exec(t);return e?Number(e[1])*T[(e[2]||"b").toLowerCase()]:(console.warn(`Formageddon: unreadable file size "${t}"`),NaN)}function j(t,e){const{attr:a,limit:n,each:r,all:i}=S[e];if(!t.hasAttribute(a)||!t.files||!t.files.length)return!0;const o=[...t.files],s=n(t.getAttribute(a));return r?o.every(t=>r(t,s)):i(o,s)}function B(t){return z.has(t)||z.set(t,createImageBitmap(t).then(e=>{const a={width:e.width,height:e.height};return e.close(),O.set(t,a),a})),z.get(t)}function D(t){return"number"===t.type||"range"===t.type?Number(t.value):p.includes(t.type)?t.value:t.value.trim()}function R(t,e){const{attr:a,test:n}=g[e],r=t.getAttribute(a);if(!r)return!0;const i=document.querySelector(r);return i?!t.required&&!t.value.trim()||("confirm"===e?n(t.value,i.value):!t.value.trim()||!i.value.trim()||n(D(t),D(i))):(console.warn(`Formageddon: element not found for ${a}="${r}"`),!1)}function U(t){const e=H(t).filter(t=>!!L.has(t)||(console.warn(`Formageddon: unknown rule data-rule="${t}"`),!1)),a=(t.getAttribute("data-validator")||"").split(/\s+/).filter(Boolean);t.hasAttribute("data-remote")&&a.push("remote");for(const e of["min-width","min-height"])t.hasAttribute(`data-${e}`)&&a.push(e);return[...e,...a]}function H(t){return(t.getAttribute("data-rule")||"").split(/\s+/).filter(Boolean)}function P(t,e){return H(t).includes(e)&&L.get(e)||$.get(e)}function X(t){let e=0;for(let a=0;a<t.length;a++){const n=t[a];if("["===n)e++;else if("]"===n)e--;else if("="===n&&!e)return{selector:t.slice(0,a).trim(),value:t.slice(a+1).trim()}}return{selector:t.trim()}}function Z(t){return t.form&&t.name?[...t.form.elements].filter(e=>e.type===t.type&&e.name===t.name):[t]}function G(t){return"FIELDSET"===t.tagName?t.matches(b):!("radio"!==t.type||!t.required||t.closest(b)||Z(t).find(t=>t.required)!==t)||("checkbox"===t.type||"radio"===t.type)&&(t.hasAttribute("data-min-checked")||t.hasAttribute("data-max-checked"))}function J(t){return"FIELDSET"!==t.tagName?Z(t):[...t.elements].filter(t=>"checkbox"===t.type||"radio"===t.type)}function K(t){return"checkbox"!==t.type&&"radio"!==t.type?null:t.closest(b)||Z(t).find(G)||null}function Q(t){const e=J(t),a=e.filter(t=>t.checked).length;if(!a&&e.some(t=>t.required))return"valueMissing";const n=t.getAttribute("data-min-checked");if(n&&a<Number(n))return"minChecked";const r=t.getAttribute("data-max-checked");return r&&a>Number(r)?"maxChecked":""}function Y(t,e){const{selector:a,value:n}=X(e),r=a&&document.querySelector(a);if(!r)return console.warn(`Formageddon: element not found for ${t}="${e}"`),!1;const i=function(t){if("radio"===t.type){const e=Z(t).find(t=>t.checked);return e?e.value:""}return"checkbox"===t.type?t.checked?t.value:"":t.value.trim()}(r);return void 0===n?!!i:i===n}function _(t){const e=t.getAttribute("data-required-if");if(e&&Y("data-required-if",e))return!0;const a=t.getAttribute("data-required-unless");return!!a&&!Y("data-required-unless",a)}function tt(t,e){const a=P(t,e);if(!a)return console.warn(`Formageddon: no validator registered for data-validator="${e}"`),!1;if(!a.async){let n;try{n=a.test(t.value,t)}catch(t){return console.warn(`Formageddon: validator "${e}" failed`,t),!1}if(!n||"function"!=typeof n.then)return n;console.warn(`Formageddon: validator "${e}" returned a Promise, register it with { async: true }`),n.then(null,()=>{}),a.async=!0}const n=N.get(t);return!n||!ct(n,t)||n.failure!==e}function et(t){const e=N.get(t);return!!e&&void 0===e.failure}function at(t){if(i.has(t))return"server";if(G(t))return Q(t);if(!I(t))return"accept";const e=function(t){if(!t.files||!t.files.length)return"";for(const e of Object.keys(S))if(!j(t,e))return e;return""}(t);if(e)return e;const a=function(t){for(const[e]of v)if(!R(t,e))return e;return""}(t);if(a&&t.value.trim())return a;for(const[e]of C)if(t.validity[e])return e;return!W(t)&&_(t)?"valueMissing":a||function(t){return W(t)&&U(t).find(e=>!tt(t,e))||""}(t)}const nt={valueMissing:"required",patternMismatch:"pattern",tooShort:"minlength",tooLong:"maxlength",rangeUnderflow:"min",rangeOverflow:"max",stepMismatch:"step"};function rt(t){if(G(t))return[Q(t)].filter(Boolean);const e=i.has(t)?["server"]:[];t.hasAttribute("accept")&&e.push("accept");for(const[a,{attr:n}]of Object.entries(S))t.hasAttribute(n)&&e.push(a);for(const[a,{attr:n}]of v)t.hasAttribute(n)&&e.push(a);for(const[a]of C)(t.validity[a]||nt[a]&&t.hasAttribute(nt[a])||"typeMismatch"===a&&["email","url"].includes(t.type)||"valueMissing"===a&&_(t))&&e.push(a);return[...e,...U(t)]}function it(t,e=at(t)){if(!e)return"";if("server"===e&&i.has(t))return i.get(t);const a=k[e]||E[e]||P(t,e);return st(t.getAttribute(a?a.attr:`data-${e}-err`)||function(t,e){const a=t.closest("[lang]"),n=a&&a.lang.toLowerCase()||M;for(const t of[n,n.split("-")[0],M]){const a=F.get(t);if(a&&a[e])return a[e]}return""}(t,e)||ot(t.form).messages[e]||(a?a.default:"The value is invalid."),t,e)}function ot(t){const e={...y};if(!t)return e;for(const[a,n]of Object.entries(x))t.hasAttribute(n)&&(e[a]=t.getAttribute(n));t.hasAttribute("data-validate-events")&&(e.events=t.getAttribute("data-validate-events").split(/\s+/).filter(Boolean)),t.hasAttribute("data-show-success")&&(e.showSuccess="false"!==t.getAttribute("data-show-success"));const a=w.get(t);return a&&Object.assign(e,a,{messages:{...e.messages,...a.messages}}),e}function st(t,e,a=""){return t.replace(/\{([\w-]+)\}/g,(t,n)=>{const r=e.value||"";return"value"===n?r:"length"===n?String(r.length):"file"===n?function(t,e){if(!t.files)return"";const a=[...t.files];let n;if(S[e]&&S[e].each){const{attr:r,limit:i,each:o}=S[e],s=i(t.getAttribute(r));n=a.find(t=>!o(t,s))}else if("min-width"===e||"min-height"===e){const r=Number(t.getAttribute(`data-${e}`)),i="min-width"===e?"width":"height";n=a.find(t=>{const e=O.get(t);return e&&e[i]<r})}return n?n.name:""}(e,a):e.hasAttribute(n)?e.getAttribute(n):t})}function lt(t){const e=t.getAttribute("aria-describedby");if(!e)return null;const a=document.getElementById(e);return a||console.warn(`Formageddon: element not found for aria-describedby="${e}"`),a}function dt(t,e){e?t.setAttribute("aria-busy","true"):t.removeAttribute("aria-busy");const a=lt(t);a&&a.classList.toggle("pending",e)}function ut(t){const e=N.get(t);e&&void 0===e.failure&&(clearTimeout(e.timer),e.controller.abort(),N.delete(t),dt(t,!1))}function ct(t,e){const a=e.files?[...e.files]:[];return t.value===e.value&&t.files.length===a.length&&t.files.every((t,e)=>t===a[e])}function ft(t,e,a){return t.dispatchEvent(new CustomEvent(`formageddon:${e}`,{bubbles:!0,cancelable:!0,detail:a}))}function mt(t,e,a){t.classList.remove(...a.split(/\s+/).filter(Boolean)),t.classList.add(...e.split(/\s+/).filter(Boolean))}function ht(t,{message:e,rules:a},n){if(!a)return void(t.textContent=e);const r=document.createElement("ul");for(const t of a){const e=document.createElement("li");e.dataset.rule=t.key,mt(e,t.valid?n.validClass:n.invalidClass,""),e.textContent=t.message,r.append(e)}t.replaceChildren(r)}const gt={invalid(t,e){const a=ot(t.form);mt(t,a.fieldInvalidClass,a.fieldValidClass);const n=lt(t);n&&(mt(n,a.invalidClass,a.validClass),ht(n,e,a))},valid(t,e){const a=ot(t.form);mt(t,a.fieldValidClass,a.fieldInvalidClass);const n=lt(t);n&&(mt(n,a.validClass,a.invalidClass),ht(n,e,a))},clear(t){const e=ot(t.form);mt(t,"",`${e.fieldValidClass} ${e.fieldInvalidClass}`);const a=lt(t);a&&(mt(a,"",`${e.validClass} ${e.invalidClass}`),a.textContent="")}};let vt=gt;const bt=new Map;function pt(t){const e=t.getAttribute("data-renderer")||t.form&&t.form.getAttribute("data-renderer");if(!e)return vt;const a=bt.get(e);return a||(console.warn(`Formageddon: no renderer registered for data-renderer="${e}"`),vt)}function yt(t,e){const a=t.getAttribute("data-show-all-errors");if(null===a)return e;const n=function(t){return G(t)?rt(t):rt(t).filter(e=>"server"===e||("accept"===e?!I(t):S[e]?!j(t,e):g[e]?!R(t,e):"valueMissing"===e?!W(t)&&(t.required||_(t)):k[e]?t.validity[e]:W(t)&&!tt(t,e)))}(t);if("checklist"!==a&&!n.length)return e;const r=("checklist"===a?rt(t):n).map(e=>({key:e,message:it(t,e),valid:!n.includes(e)}));return{...e,rules:r}}function wt(t){t.removeAttribute("aria-invalid");const e={key:"",message:""};ft(t,"cleared",e)&&pt(t).clear(t,e)}function At(t,e){e.disabled=!kt(t)}function xt(t,e){const a=!e||t.validity&&t.validity[e]?"":it(t,e),n=G(t)?J(t):[t];for(const t of n)t.setCustomValidity(a)}function kt(t){const e=[...t.elements];for(const t of e)Rt(t)&&xt(t,zt(t)?"":at(t));return e.every(t=>!t.willValidate||t.validity.valid)&&!e.some(et)&&!("FORM"===t.tagName&&Ct(t))}function Ct(t){const e=(t.getAttribute("data-require-one-of")||"").split(",").map(t=>t.trim()).filter(Boolean);if(e.length){if(!e.map(e=>{const a=Kt(t,e);return a||console.warn(`Formageddon: no control named "${e}" for data-require-one-of`),a}).some(t=>t&&W(t)))return it(t,"requireOneOf")}for(const e of s.get(t)||[]){let a;try{a=e(t)}catch(t){console.warn("Formageddon: form validator failed",t),a=!1}if("string"==typeof a&&a)return a;if(!0!==a)return it(t,"form")}return""}function Et(t){!function(t){const e=t.querySelector("[data-error-summary]");if(!e)return;let a=e.querySelector("ul, ol");a||(a=document.createElement("ul"),e.appendChild(a));const n=[];for(const e of t.elements){if(!Rt(e)||"true"!==e.getAttribute("aria-invalid"))continue;const t=document.createElement("a");t.href=e.id?`#${e.id}`:"#",t.textContent=it(e),u.set(t,e);const a=document.createElement("li");a.appendChild(t),n.push(a)}a.replaceChildren(...n),e.hidden=!n.length}(t),function(t){if(!t.hasAttribute("aria-describedby"))return;const e=lt(t);if(!e)return;const a=l.has(t)||[...t.elements].some(t=>{const e=r.get(t);return!!e&&e.touched})?Ct(t):"",{invalidClass:n}=ot(t);mt(e,a?n:"",a?"":n),e.textContent=a}(t);const e=kt(t);d.get(t)!==e&&(d.set(t,e),ft(t,"form-validity",{valid:e}))}function St(t){const e=t.closest("fieldset[data-step]");e&&!kt(e)?t.setAttribute("aria-disabled","true"):t.removeAttribute("aria-disabled")}function qt(t){for(const e of t.elements)a.has(e)&&At(t,e),n.has(e)&&St(e);Et(t)}function Tt(t){const e=t.target.closest("a"),a=e&&u.get(e);a&&(t.preventDefault(),Mt(a))}function Mt(t){const e=G(t)&&J(t)[0]||t;e.scrollIntoView&&e.scrollIntoView({block:"center"}),e.focus({preventScroll:!0})}function Ft(t){return[...t.querySelectorAll("fieldset[data-step]")]}function $t(t,e,a=!1){const n=Ft(t);return!(!a&&!ft(t,"step",{index:e,step:n[e]}))&&(n.forEach((t,a)=>{t.hidden=a!==e}),!0)}function Lt(t){const a=t.currentTarget,n=t.target.closest("[data-next], [data-prev]"),r=n&&n.closest("fieldset[data-step]"),i=Ft(a),o=i.indexOf(r);if(o<0)return;if(t.preventDefault(),n.hasAttribute("data-next")){const t=[...r.elements].filter(t=>e.has(t)&&!Ot(t));if(qt(a),t.length)return void Mt(t[0])}const s=o+(n.hasAttribute("data-next")?1:-1);if(!i[s]||!$t(a,s))return;const l=[...i[s].elements].find(t=>"FIELDSET"!==t.tagName&&"hidden"!==t.type&&!t.disabled);l&&Mt(l)}function Nt(t){for(const e of t.target.elements)(f.includes(e.tagName)||G(e))&&(ut(e),r.delete(e),wt(e));l.delete(t.target),Ft(t.target).length&&$t(t.target,0),Et(t.target)}function zt(t){return!!t.disabled||(t instanceof HTMLInputElement||t instanceof HTMLTextAreaElement)&&t.readOnly}function Ot(t){if(zt(t))return xt(t,""),!0;const e=at(t);if(xt(t,e),e)return ut(t),function(t,e){t.setAttribute("aria-invalid","true");const a=yt(t,{key:e,message:it(t,e)});ft(t,"invalid",a)&&pt(t).invalid(t,a)}(t,e),!1;if(!W(t))return ut(t),wt(t),!0;const a=U(t).filter(e=>P(t,e).async);return(!a.length||(function(t,e){const a=N.get(t);if(a&&ct(a,t))return;ut(t);const n=t.getAttribute("data-debounce"),r=n?Number(n):Math.max(...e.map(t=>$.get(t).debounce)),i={value:t.value,files:t.files?[...t.files]:[],controller:new AbortController,timer:0};N.set(t,i),dt(t,!0),i.timer=setTimeout(async()=>{const{signal:a}=i.controller;let n="";for(const r of e){let e;try{e=await $.get(r).test(i.value,t,a)}catch(t){if(a.aborted)return;console.warn(`Formageddon: validator "${r}" failed`,t),e=!1}if(a.aborted)return;if(!e){n=r;break}}ct(i,t)?(i.failure=n,dt(t,!1),Ot(t),t.form&&qt(t.form)):ut(t)},r)}(t,a),!et(t)))&&(function(t){t.setAttribute("aria-invalid","false");const e=st(t.getAttribute("data-success")||"",t),a=yt(t,{key:"",message:e});if(!ft(t,"valid",a))return;const n=pt(t);ot(t.form).showSuccess?n.valid(t,a):n.clear(t,a)}(t),!0)}function Wt(t){const a=[...t.target.elements].filter(t=>!!e.has(t)&&(Ut(t),!Ot(t))),n=Ct(t.target);if(!a.length&&!n)return;if(t.preventDefault(),n&&l.add(t.target),qt(t.target),!a.length){const e=lt(t.target);return void(e&&(e.hasAttribute("tabindex")||(e.tabIndex=-1),Mt(e)))}const r=a[0].closest("fieldset[data-step]");r&&r.hidden&&$t(t.target,Ft(t.target).indexOf(r));const i=t.target.querySelector("[data-error-summary]");Mt(i&&!i.hidden?i:a[0])}function It(t,e,a){!1===a||null==a||t.hasAttribute(e)||t.setAttribute(e,!0===a?"":Array.isArray(a)?a.join(" "):String(a))}function Vt(t,e,a,n){e.addEventListener(a,n),c.has(t)||c.set(t,[]),c.get(t).push(()=>e.removeEventListener(a,n))}function jt(t){const e=r.get(t);return!!e&&(e.touched||e.dirty)}function Bt(t){return!!t&&"submit"===t.getAttribute("data-validate")}function Dt(t,e){const a="true"===t.getAttribute("aria-invalid");switch(function(t){const e=t.getAttribute("data-validate-on")||t.form&&t.form.getAttribute("data-validate-on")||"input";return"submit"!==e||Bt(t.form)?e:"blur"}(t)){case"blur":return"input"!==e;case"lazy":return"input"!==e||a;case"submit":return a;default:return!0}}function Rt(t){return!t.hasAttribute("data-ignore")&&(!!G(t)||f.includes(t.tagName)&&!K(t)&&(i.has(t)||m.some(e=>t.hasAttribute(e))))}function Ut(t){const e=(t.getAttribute("data-normalize")||"").split(/\s+/).filter(Boolean);if(!e.length||"SELECT"===t.tagName||["checkbox","radio","file"].includes(t.type))return;const a=e.reduce((t,e)=>q[e]?q[e](t):(console.warn(`Formageddon: unknown data-normalize="${e}"`),t),t.value);a!==t.value&&(t.value=a)}function Ht(t){if(e.has(t))return;e.add(t);const a=e=>{"blur"!==e.type&&"change"!==e.type||Ut(t);const a=("input"===e.type||"change"===e.type)&&i.delete(t);!function(t,e){const a=r.get(t)||{touched:!1,dirty:!1};"blur"===e&&(a.touched=!0),"input"!==e&&"change"!==e||(a.dirty=!0),r.set(t,a)}(t,e.type),"input"===e.type&&ut(t),Dt(t,e.type)?Ot(t):a&&(wt(t),xt(t,""))},n=G(t)||"radio"===t.type?J(t):[t],{events:o}=ot(t.form);for(const e of n)o.forEach(n=>Vt(t.form,e,n,a));const s=e=>{jt(t)&&Dt(t,e.type)&&Ot(t)};for(const e of function(t){const e=[];for(const a of h){if(!t.hasAttribute(a))continue;const n=t.getAttribute(a),r="data-confirm"===a?n:X(n).selector;if(!r){console.warn(`Formageddon: ${a} set without a selector value`);continue}const i=document.querySelector(r);i?e.push(..."radio"===i.type?Z(i):[i]):console.warn(`Formageddon: element not found for ${a}="${n}"`)}return e}(t))o.forEach(a=>Vt(t.form,e,a,s))}function Pt(t,e){if(!["INPUT","BUTTON"].includes(e.tagName)||"submit"!==e.type)return void console.warn("Formageddon: data-submit expected on an input[type=submit] or button[type=submit]");if(a.has(e))return;a.add(e),At(t,e);const n=()=>At(t,e);ot(t).events.forEach(e=>Vt(t,t,e,n))}function Xt(t,e){if(n.has(e))return;n.add(e),St(e);const a=()=>St(e);ot(t).events.forEach(e=>Vt(t,t,e,a))}function Zt(a,n){if(n){const t=w.get(a);w.set(a,{...t,...n,messages:{...t&&t.messages,...n.messages}})}const{fields:r}=w.get(a)||{};r&&function(t,e){const a=t=>t.replace(/[A-Z]/g,t=>`-${t.toLowerCase()}`);for(const[n,r]of Object.entries(e)){const e=[...t.elements].find(t=>t.name===n);if(!e){console.warn(`Formageddon: no control named "${n}" for the schema`);continue}const{messages:i={},...o}=r;for(const[t,n]of Object.entries(o))It(e,A.includes(t.toLowerCase())?t.toLowerCase():`data-${a(t)}`,n);for(const[t,n]of Object.entries(i)){const r=k[t]||E[t]||$.get(t)||L.get(t);It(e,r?r.attr:`data-${a(t)}-err`,n)}}}(a,r);let s=t.has(a);t.has(a)||"submit"!==a.getAttribute("data-validate")||(a.noValidate=!0,Vt(a,a,"submit",Wt));const l=a.querySelector("[data-error-summary]");if(!t.has(a)){!Bt(a)&&[a,...a.elements].some(t=>"submit"===t.getAttribute("data-validate-on"))&&console.warn('Formageddon: data-validate-on="submit" needs data-validate="submit" on the form, validating on blur instead');const t=()=>Et(a);ot(a).events.forEach(e=>Vt(a,a,e,t)),Ft(a).length&&(Vt(a,a,"click",Lt),$t(a,0,!0)),l&&(l.hasAttribute("tabindex")||(l.tabIndex=-1),Vt(a,l,"click",Tt))}const d=function(t){const a=[];for(const n of t.elements){if(o.has(n))continue;if(o.add(n),e.has(n)||n.hasAttribute("data-ignore"))continue;if(!G(n)&&(!f.includes(n.tagName)||K(n)))continue;let t=n.getAttribute("data-server-err");if(!t&&"true"===n.getAttribute("aria-invalid")){const e=lt(n);t=e&&e.textContent.trim()}t&&(i.set(n,t),a.push(n))}return a}(a);for(const t of a.elements)Rt(t)&&Ht(t),t.hasAttribute("data-submit")&&Pt(a,t),t.hasAttribute("data-next")&&Xt(a,t),s||"reset"!==t.type||(Vt(a,a,"reset",Nt),s=!0);!l&&!Ft(a).length||s||Vt(a,a,"reset",Nt),d.forEach(Ot),t.add(a),Et(a)}function Gt(r){const i=c.get(r);i&&i.forEach(t=>t()),c.delete(r),d.delete(r);for(const t of r.elements)ut(t),e.has(t)&&xt(t,""),e.delete(t),a.delete(t),n.delete(t);t.delete(r)}function Jt(t,e={}){e.silent||Ot(t);const a=zt(t)?"":at(t),n=!a&&et(t),i=r.get(t);return{element:t,name:t.name,valid:!a&&!n,pending:n,key:a,message:it(t,a),touched:!!i&&i.touched,dirty:!!i&&i.dirty}}function Kt(t,e){const a=[...t.elements].find(t=>t.name===e);return a?K(a)||a:null}function Qt(t,e){const a=e?e.map(e=>Kt(t,e)):[...t.elements].flatMap(t=>[t,K(t)]);for(const t of new Set(a))t&&i.delete(t)&&(jt(t)?Ot(t):(wt(t),xt(t,"")));qt(t)}function Yt(t,e,a={}){$.set(t,{test:e,attr:`data-${t}-err`,default:a.message||"The value is invalid.",async:!!a.async,debounce:a.debounce??300})}Yt("remote",async(t,e,a)=>{const n=new URL(e.getAttribute("data-remote"),document.baseURI);n.searchParams.set(e.name||"value",t);return(await fetch(n,{signal:a})).ok},{async:!0,message:"The value is not available."});for(const[t,e,a]of[["min-width","width","{file} must be at least {data-min-width}px wide."],["min-height","height","{file} must be at least {data-min-height}px tall."]])Yt(t,async(a,n)=>{const r=Number(n.getAttribute(`data-${t}`));for(const t of n.files||[])if(t.type.startsWith("image/")&&(await B(t))[e]<r)return!1;return!0},{async:!0,debounce:0,message:a});function _t(a){document.querySelectorAll("form").forEach(n=>{if(t.has(n)){for(const t of n.elements)e.has(t)&&a.contains(t)&&"true"===t.getAttribute("aria-invalid")&&Ot(t);qt(n)}})}const te=new MutationObserver(t=>{const e=new Set;for(const e of t)"attributes"===e.type&&_t(e.target);for(const e of t)for(const t of e.removedNodes)if(t instanceof HTMLElement)for(const e of[t,...t.querySelectorAll("form")])"FORM"===e.tagName&&e.hasAttribute("data-validate")&&!e.isConnected&&Gt(e);for(const a of t)for(const t of a.addedNodes)if(t instanceof HTMLElement)for(const a of[t,...t.querySelectorAll("*")])if("FORM"===a.tagName&&a.hasAttribute("data-validate"))e.add(a);else if(f.includes(a.tagName)){const t=a.closest("form");t&&t.hasAttribute("data-validate")&&e.add(t)}for(const t of e)t.isConnected&&Zt(t)});function ee(){document.querySelectorAll("form[data-validate]").forEach(e=>{t.has(e)||Zt(e)}),te.observe(document.body,{childList:!0,subtree:!0}),te.observe(document.documentElement,{attributes:!0,attributeFilter:["lang"],subtree:!0})}return"loading"===document.readyState?document.addEventListener("DOMContentLoaded",ee,{once:!0}):ee(),{init:ee,initForm:Zt,destroy:function(){te.disconnect(),document.querySelectorAll("form").forEach(e=>{t.has(e)&&Gt(e)})},destroyForm:Gt,validateForm:function(t,e={}){const a=[...t.elements].filter(Rt).map(t=>Jt(t,e)),n=Ct(t);return e.silent||(n&&l.add(t),qt(t)),{valid:a.every(t=>t.valid)&&!n,fields:a,message:n}},validateField:Jt,addValidator:Yt,addRule:function(t,e,a="The value is invalid."){L.set(t,{test:t=>e(t.trim()),attr:"data-rule-err",default:a,async:!1,debounce:0}),_t(document.documentElement)},setMessages:function(t,e){const a=t.toLowerCase();F.set(a,{...F.get(a),...e}),_t(document.documentElement)},setRenderer:function(t,e){"string"==typeof t?bt.set(t,{...gt,...e}):vt={...gt,...t}},configure:function(t){y={...y,...t,messages:{...y.messages,...t.messages}},_t(document.documentElement)},setErrors:function(t,e){Qt(t);for(const[a,n]of Object.entries(e)){const e=Kt(t,a);e?(i.set(e,n),Ht(e),Ot(e)):console.warn(`Formageddon: no control named "${a}" for setErrors`)}qt(t)},clearErrors:Qt,addFormValidator:function(e,a){return s.set(e,[...s.get(e)||[],a]),t.has(e)&&qt(e),()=>{s.set(e,(s.get(e)||[]).filter(t=>t!==a)),t.has(e)&&qt(e)}}}})();globalThis.Formageddon=Formageddon;
\ No newline at end of file
@@ -0,0 +1,244 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+	vi.useFakeTimers();
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+});
+
+const taken = ["admin", "root"];
+F.addValidator(
+	"available",
+	(value) => Promise.resolve(!taken.includes(value)),
+	{ async: true, message: "That username is taken." },
+);
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("async validators", () => {
+	function setupAsync(attrs = 'data-validator="available"') {
+		const { form, get } = setup(`
+			<input name="username" required ${attrs} aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Submit</button>
+		`);
+		return { form, input: get("input"), msg: get("#msg"), button: get("button") };
+	}
+
+	it("marks the field as pending until the validator settles", async () => {
+		const { input, msg } = setupAsync();
+		type(input, "admin");
+		expect(input.getAttribute("aria-busy")).toBe("true");
+		expect(msg.classList.contains("pending")).toBe(true);
+
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.hasAttribute("aria-busy")).toBe(false);
+		expect(msg.classList.contains("pending")).toBe(false);
+	});
+
+	it("shows the validator message when the promise resolves false", async () => {
+		const { input, msg } = setupAsync();
+		type(input, "admin");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(msg.textContent).toBe("That username is taken.");
+	});
+
+	it("marks the field valid when the promise resolves true", async () => {
+		const { input } = setupAsync();
+		type(input, "andrew");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("debounces calls while the user is typing", async () => {
+		const test = vi.fn(() => Promise.resolve(true));
+		F.addValidator("debounced", test, { async: true });
+		const { input } = setupAsync('data-validator="debounced"');
+		type(input, "a");
+		await vi.advanceTimersByTimeAsync(100);
+		type(input, "ab");
+		await vi.advanceTimersByTimeAsync(100);
+		type(input, "abc");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).toHaveBeenCalledTimes(1);
+		expect(test).toHaveBeenCalledWith("abc", input, expect.any(AbortSignal));
+	});
+
+	it("respects data-debounce", async () => {
+		const test = vi.fn(() => Promise.resolve(true));
+		F.addValidator("slow", test, { async: true });
+		const { input } = setupAsync('data-validator="slow" data-debounce="1000"');
+		type(input, "abc");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).not.toHaveBeenCalled();
+		await vi.advanceTimersByTimeAsync(700);
+		expect(test).toHaveBeenCalledTimes(1);
+	});
+
+	it("aborts a stale request when the value changes", async () => {
+		const signals = [];
+		F.addValidator(
+			"hanging",
+			(value, input, signal) => {
+				signals.push(signal);
+				return new Promise(() => {});
+			},
+			{ async: true },
+		);
+		const { input } = setupAsync('data-validator="hanging"');
+		type(input, "one");
+		await vi.advanceTimersByTimeAsync(300);
+		type(input, "two");
+		expect(signals[0].aborted).toBe(true);
+	});
+
+	it("aborts a stale request on input when the field validates on blur", async () => {
+		const test = vi.fn(() => Promise.resolve(true));
+		F.addValidator("on-blur", test, { async: true });
+		const { input } = setupAsync('data-validator="on-blur" data-validate-on="blur"');
+		input.value = "abcdef";
+		fire(input, "blur");
+		expect(input.getAttribute("aria-busy")).toBe("true");
+
+		type(input, "ab");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).not.toHaveBeenCalled();
+		expect(input.hasAttribute("aria-busy")).toBe(false);
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("drops a result when the value was changed by a script", async () => {
+		const test = vi.fn(() => Promise.resolve(false));
+		F.addValidator("scripted", test, { async: true });
+		const { input } = setupAsync('data-validator="scripted" data-validate-on="blur"');
+		input.value = "abcdef";
+		fire(input, "blur");
+		input.value = "ab";
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).toHaveBeenCalledTimes(1);
+		expect(input.hasAttribute("aria-busy")).toBe(false);
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("runs a validator returning a Promise as async when registered without async: true", async () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		F.addValidator("unflagged", async (value) => value !== "admin", { message: "Taken." });
+		const { input, msg } = setupAsync('data-validator="unflagged"');
+		type(input, "admin");
+		expect(warn).toHaveBeenCalledWith(
+			'Formageddon: validator "unflagged" returned a Promise, register it with { async: true }',
+		);
+		warn.mockRestore();
+		expect(input.getAttribute("aria-busy")).toBe("true");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(msg.textContent).toBe("Taken.");
+	});
+
+	it("does not re-run the validator for an unchanged value", async () => {
+		const test = vi.fn(() => Promise.resolve(true));
+		F.addValidator("cached", test, { async: true });
+		const { input } = setupAsync('data-validator="cached"');
+		type(input, "abc");
+		await vi.advanceTimersByTimeAsync(300);
+		fire(input, "blur");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).toHaveBeenCalledTimes(1);
+	});
+
+	it("skips async validators while a synchronous check fails", async () => {
+		const test = vi.fn(() => Promise.resolve(true));
+		F.addValidator("after-sync", test, { async: true });
+		const { input, msg } = setupAsync('data-validator="after-sync" minlength="5"');
+		type(input, "");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(test).not.toHaveBeenCalled();
+		expect(msg.textContent).toBe("This field is required.");
+	});
+
+	it("keeps the submit button disabled while a check is pending", async () => {
+		const { input, button } = setupAsync();
+		type(input, "andrew");
+		expect(button.disabled).toBe(true);
+
+		await vi.advanceTimersByTimeAsync(300);
+		expect(button.disabled).toBe(false);
+	});
+
+	it("keeps the submit button disabled when the check fails", async () => {
+		const { input, button } = setupAsync();
+		type(input, "root");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(button.disabled).toBe(true);
+	});
+
+	it("clears the pending state on form reset", async () => {
+		const { form, get } = setup(`
+			<input required data-validator="available" />
+			<button type="reset">Reset</button>
+		`);
+		const input = get("input");
+		type(input, "andrew");
+		form.dispatchEvent(new Event("reset"));
+		expect(input.hasAttribute("aria-busy")).toBe(false);
+	});
+});
+
+describe("data-remote", () => {
+	it("requests the url with the value and accepts a 2xx response", async () => {
+		const fetch = vi.fn(() => Promise.resolve({ ok: true }));
+		vi.stubGlobal("fetch", fetch);
+		const { get } = setup(`<input name="username" data-remote="/api/check" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		type(input, "andrew");
+		await vi.advanceTimersByTimeAsync(300);
+
+		const [url, init] = fetch.mock.calls[0];
+		expect(url.pathname).toBe("/api/check");
+		expect(url.searchParams.get("username")).toBe("andrew");
+		expect(init.signal).toBeInstanceOf(AbortSignal);
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("shows data-remote-err for a non-2xx response", async () => {
+		vi.stubGlobal("fetch", vi.fn(() => Promise.resolve({ ok: false })));
+		const { get } = setup(`
+			<input name="username" data-remote="/api/check" data-remote-err="Username taken." aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		type(input, "admin");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Username taken.");
+	});
+
+	it("falls back to the default message", async () => {
+		vi.stubGlobal("fetch", vi.fn(() => Promise.resolve({ ok: false })));
+		const { get } = setup(`<input data-remote="/api/check" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		type(input, "admin");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(get("#msg").textContent).toBe("The value is not available.");
+	});
+
+	it("treats a failed request as invalid", async () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		vi.stubGlobal("fetch", vi.fn(() => Promise.reject(new TypeError("offline"))));
+		const { get } = setup(`<input data-remote="/api/check" />`);
+		const input = get("input");
+		type(input, "admin");
+		await vi.advanceTimersByTimeAsync(300);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,119 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("comparison rules", () => {
+	it("data-gt compares number inputs numerically", () => {
+		const { get } = setup(`
+			<input id="min" type="number" />
+			<input id="max" type="number" data-gt="#min" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		get("#min").value = "9";
+		type(get("#max"), "10");
+		expect(get("#max").getAttribute("aria-invalid")).toBe("false");
+
+		type(get("#max"), "9");
+		expect(get("#max").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("The value is too small.");
+	});
+
+	it("data-gte allows equal values", () => {
+		const { get } = setup(`
+			<input id="min" type="number" value="5" />
+			<input id="max" type="number" data-gte="#min" />
+		`);
+		type(get("#max"), "5");
+		expect(get("#max").getAttribute("aria-invalid")).toBe("false");
+		type(get("#max"), "4");
+		expect(get("#max").getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("data-lt and data-lte have their own messages", () => {
+		const { get } = setup(`
+			<input id="end" type="date" value="2026-01-10" />
+			<input id="start" type="date" data-lt="#end" data-lt-err="Start must be before the end date." aria-describedby="start-msg" />
+			<span id="start-msg"></span>
+			<input id="last" type="date" data-lte="#end" aria-describedby="last-msg" />
+			<span id="last-msg"></span>
+		`);
+		type(get("#start"), "2026-01-10");
+		expect(get("#start-msg").textContent).toBe("Start must be before the end date.");
+
+		type(get("#last"), "2026-01-11");
+		expect(get("#last-msg").textContent).toBe("The value is too large.");
+		type(get("#last"), "2026-01-10");
+		expect(get("#last").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("orders date, time and datetime-local values chronologically", () => {
+		const { get } = setup(`
+			<input id="from" type="time" value="09:30" />
+			<input id="to" type="time" data-gt="#from" />
+			<input id="open" type="datetime-local" value="2026-03-01T09:00" />
+			<input id="close" type="datetime-local" data-gt="#open" />
+		`);
+		type(get("#to"), "10:00");
+		expect(get("#to").getAttribute("aria-invalid")).toBe("false");
+		type(get("#close"), "2026-02-28T23:59");
+		expect(get("#close").getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("data-not-equal requires a different value", () => {
+		const { get } = setup(`
+			<input id="old" type="password" value="hunter2" />
+			<input id="new" type="password" data-not-equal="#old" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		type(get("#new"), "hunter2");
+		expect(get("#msg").textContent).toBe("Values must be different.");
+		type(get("#new"), "correct horse");
+		expect(get("#new").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("passes while the other control is empty", () => {
+		const { get } = setup(`
+			<input id="min" type="number" />
+			<input id="max" type="number" data-gt="#min" />
+		`);
+		type(get("#max"), "1");
+		expect(get("#max").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("re-validates both fields when either changes", () => {
+		const { get } = setup(`
+			<input id="start" type="date" data-lt="#end" />
+			<input id="end" type="date" data-gt="#start" />
+		`);
+		const start = get("#start");
+		const end = get("#end");
+		type(start, "2026-01-05");
+		type(end, "2026-01-10");
+		expect(start.getAttribute("aria-invalid")).toBe("false");
+		expect(end.getAttribute("aria-invalid")).toBe("false");
+
+		type(end, "2026-01-01");
+		expect(start.getAttribute("aria-invalid")).toBe("true");
+		expect(end.getAttribute("aria-invalid")).toBe("true");
+
+		type(start, "2025-12-01");
+		expect(start.getAttribute("aria-invalid")).toBe("false");
+		expect(end.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("reports the rule as the failure key", () => {
+		const { get } = setup(`
+			<input id="min" type="number" value="5" />
+			<input id="max" type="number" value="1" data-gt="#min" />
+		`);
+		expect(F.validateField(get("#max"), { silent: true }).key).toBe("gt");
+	});
+});
@@ -0,0 +1,135 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+describe("data-required-if", () => {
+	function setupAccount() {
+		return setup(`
+			<select id="type">
+				<option value="personal">Personal</option>
+				<option value="business">Business</option>
+			</select>
+			<input id="company" data-required-if="#type=business" data-required-err="Enter your company name." aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Submit</button>
+		`);
+	}
+
+	it("is not required while the condition does not hold", () => {
+		const { get } = setupAccount();
+		fire(get("#company"), "blur");
+		expect(get("#company").hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("is required when the referenced control has the given value", () => {
+		const { get } = setupAccount();
+		get("#type").value = "business";
+		fire(get("#company"), "blur");
+		expect(get("#company").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Enter your company name.");
+	});
+
+	it("re-validates when the referenced control changes", () => {
+		const { get } = setupAccount();
+		const company = get("#company");
+		fire(company, "blur");
+
+		get("#type").value = "business";
+		fire(get("#type"), "change");
+		expect(company.getAttribute("aria-invalid")).toBe("true");
+
+		get("#type").value = "personal";
+		fire(get("#type"), "change");
+		expect(company.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("counts towards the data-submit state", () => {
+		const { get } = setupAccount();
+		expect(get("button").disabled).toBe(false);
+
+		get("#type").value = "business";
+		fire(get("#type"), "change");
+		expect(get("button").disabled).toBe(true);
+
+		get("#company").value = "Acme";
+		fire(get("#company"), "input");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("without a value, requires the field when the referenced control has any value", () => {
+		const { get } = setup(`
+			<input id="phone" />
+			<input id="ext" data-required-if="#phone" />
+		`);
+		get("#phone").value = "0400 000 000";
+		fire(get("#ext"), "blur");
+		expect(F.validateField(get("#ext"), { silent: true }).key).toBe("valueMissing");
+	});
+
+	it("supports checkbox and radio group conditions", () => {
+		const { get } = setup(`
+			<input type="checkbox" id="gift" />
+			<input id="note" data-required-if="#gift" />
+			<input type="radio" name="ship" value="pickup" checked />
+			<input type="radio" name="ship" value="post" />
+			<input id="address" data-required-if="[name=ship]=post" />
+		`);
+		expect(F.validateField(get("#note"), { silent: true }).valid).toBe(true);
+		get("#gift").checked = true;
+		expect(F.validateField(get("#note"), { silent: true }).valid).toBe(false);
+
+		expect(F.validateField(get("#address"), { silent: true }).valid).toBe(true);
+		get("[value=post]").checked = true;
+		expect(F.validateField(get("#address"), { silent: true }).valid).toBe(false);
+	});
+
+	it("re-validates when any radio in a referenced group changes", () => {
+		const { get } = setup(`
+			<input type="radio" name="ship" value="pickup" checked />
+			<input type="radio" name="ship" value="post" />
+			<input id="address" data-required-if="[name=ship]=post" />
+		`);
+		const address = get("#address");
+		fire(address, "blur");
+		get("[value=post]").checked = true;
+		fire(get("[value=post]"), "change");
+		expect(address.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("warns when the referenced control does not exist", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		setup(`<input data-required-if="#missing=yes" />`);
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('data-required-if="#missing=yes"'));
+		warn.mockRestore();
+	});
+});
+
+describe("data-required-unless", () => {
+	function setupContact() {
+		return setup(`
+			<input id="email" type="email" />
+			<input id="phone" data-required-unless="#email" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+	}
+
+	it("is required while the referenced control is empty", () => {
+		const { get } = setupContact();
+		fire(get("#phone"), "blur");
+		expect(get("#phone").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("This field is required.");
+	});
+
+	it("is not required once the referenced control has a value", () => {
+		const { get } = setupContact();
+		const phone = get("#phone");
+		fire(phone, "blur");
+
+		get("#email").value = "a@b.com";
+		fire(get("#email"), "input");
+		expect(phone.hasAttribute("aria-invalid")).toBe(false);
+	});
+});
@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+afterEach(() => {
+	F.configure({
+		validClass: "valid",
+		invalidClass: "invalid",
+		fieldValidClass: "",
+		fieldInvalidClass: "",
+		events: ["input", "change", "blur"],
+		showSuccess: true,
+		messages: { valueMissing: "" },
+	});
+});
+
+const field = `
+	<input required data-success="Nice" aria-describedby="msg" />
+	<span id="msg"></span>
+`;
+
+describe("configure", () => {
+	it("uses the configured message and field classes", () => {
+		F.configure({
+			validClass: "text-green",
+			invalidClass: "text-red font-bold",
+			fieldValidClass: "is-valid",
+			fieldInvalidClass: "is-invalid",
+		});
+		const { get } = setup(field);
+		const input = get("input");
+		const msg = get("#msg");
+
+		fire(input, "blur");
+		expect([...msg.classList]).toEqual(["text-red", "font-bold"]);
+		expect(input.classList.contains("is-invalid")).toBe(true);
+
+		input.value = "x";
+		fire(input, "input");
+		expect([...msg.classList]).toEqual(["text-green"]);
+		expect(input.classList.contains("is-valid")).toBe(true);
+		expect(input.classList.contains("is-invalid")).toBe(false);
+	});
+
+	it("replaces the default messages", () => {
+		F.configure({ messages: { valueMissing: "Please fill this in." } });
+		const { get } = setup(field);
+		fire(get("input"), "blur");
+		expect(get("#msg").textContent).toBe("Please fill this in.");
+	});
+
+	it("keeps data-*-err ahead of configured messages", () => {
+		F.configure({ messages: { valueMissing: "Please fill this in." } });
+		const { get } = setup(`
+			<input required data-required-err="Name needed" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		fire(get("input"), "blur");
+		expect(get("#msg").textContent).toBe("Name needed");
+	});
+
+	it("re-renders visible messages when configured", () => {
+		const { get } = setup(field);
+		fire(get("input"), "blur");
+		F.configure({ messages: { valueMissing: "Please fill this in." } });
+		expect(get("#msg").textContent).toBe("Please fill this in.");
+	});
+
+	it("can hide the success state", () => {
+		F.configure({ showSuccess: false });
+		const { get } = setup(field);
+		const input = get("input");
+		input.value = "x";
+		fire(input, "input");
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+		expect(get("#msg").textContent).toBe("");
+		expect(get("#msg").className).toBe("");
+	});
+
+	it("validates only on the configured events", () => {
+		F.configure({ events: ["change"] });
+		const { get } = setup(field);
+		const input = get("input");
+		fire(input, "input");
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+		fire(input, "change");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+});
+
+describe("per-form options", () => {
+	it("reads class and success overrides from form attributes", () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-invalid-class", "oops");
+		form.setAttribute("data-field-invalid-class", "field-oops");
+		form.setAttribute("data-show-success", "false");
+		form.innerHTML = field;
+		document.body.appendChild(form);
+		F.initForm(form);
+		const input = form.querySelector("input");
+		const msg = form.querySelector("#msg");
+
+		fire(input, "blur");
+		expect(msg.className).toBe("oops");
+		expect(input.className).toBe("field-oops");
+
+		input.value = "x";
+		fire(input, "input");
+		expect(msg.className).toBe("");
+		expect(msg.textContent).toBe("");
+		expect(input.className).toBe("");
+	});
+
+	it("reads trigger events from data-validate-events", () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate-events", "change");
+		form.innerHTML = field;
+		document.body.appendChild(form);
+		F.initForm(form);
+		const input = form.querySelector("input");
+
+		fire(input, "blur");
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+		fire(input, "change");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("accepts options as the second argument to initForm", () => {
+		F.configure({ messages: { valueMissing: "Global" } });
+		const form = document.createElement("form");
+		form.setAttribute("data-invalid-class", "from-attr");
+		form.innerHTML = field;
+		document.body.appendChild(form);
+		F.initForm(form, {
+			invalidClass: "from-options",
+			messages: { valueMissing: "Just this form" },
+		});
+		const input = form.querySelector("input");
+		const msg = form.querySelector("#msg");
+
+		fire(input, "blur");
+		expect(msg.className).toBe("from-options");
+		expect(msg.textContent).toBe("Just this form");
+	});
+
+	it("does not affect other forms", () => {
+		const first = setup(`<input required aria-describedby="a" /><span id="a"></span>`);
+		const second = document.createElement("form");
+		second.innerHTML = `<input required aria-describedby="b" /><span id="b"></span>`;
+		document.body.appendChild(second);
+		F.initForm(second, { invalidClass: "bad" });
+
+		fire(first.get("input"), "blur");
+		fire(second.querySelector("input"), "blur");
+		expect(document.getElementById("a").className).toBe("invalid");
+		expect(document.getElementById("b").className).toBe("bad");
+	});
+});
@@ -0,0 +1,138 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+F.addValidator("sku", (value) => /^[A-Z]{3}-\d{4}$/.test(value));
+F.addValidator("even", (value) => Number(value) % 2 === 0, { message: "Enter an even number." });
+
+describe("custom validators (data-validator)", () => {
+	it("initialises fields that only have data-validator", () => {
+		const { get } = setup(`<input data-validator="sku" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "abc";
+		fire(input, "blur");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("shows the default message when a validator fails", () => {
+		const { get } = setup(`<input data-validator="sku" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "abc";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("The value is invalid.");
+	});
+
+	it("uses the message given at registration", () => {
+		const { get } = setup(`<input data-validator="even" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "3";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("Enter an even number.");
+	});
+
+	it("prefers a data-<name>-err message", () => {
+		const { get } = setup(`
+			<input data-validator="sku" data-sku-err="Use the format ABC-1234." aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		input.value = "abc";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("Use the format ABC-1234.");
+	});
+
+	it("is valid when the validator passes", () => {
+		const { get } = setup(`<input data-validator="sku" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "ABC-1234";
+		fire(input, "input");
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("runs after native validity", () => {
+		const { get } = setup(`<input required data-validator="sku" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		fire(input, "blur");
+		expect(get("#msg").textContent).toBe("This field is required.");
+	});
+
+	it("does not run validators on an empty optional field", () => {
+		const test = vi.fn(() => false);
+		F.addValidator("spy", test);
+		const { get } = setup(`<input data-validator="spy" />`);
+		const input = get("input");
+		fire(input, "blur");
+		expect(test).not.toHaveBeenCalled();
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("runs every listed validator in order", () => {
+		const { get } = setup(`<input data-validator="sku even" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "12";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("The value is invalid.");
+	});
+
+	it("passes the value and the element to the validator", () => {
+		const test = vi.fn(() => true);
+		F.addValidator("args", test);
+		const { get } = setup(`<input data-validator="args" />`);
+		const input = get("input");
+		input.value = "hello";
+		fire(input, "input");
+		expect(test).toHaveBeenCalledWith("hello", input);
+	});
+
+	it("warns and fails for an unregistered validator", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { get } = setup(`<input data-validator="missing" />`);
+		const input = get("input");
+		input.value = "x";
+		fire(input, "input");
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('data-validator="missing"'));
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		warn.mockRestore();
+	});
+
+	it("warns and fails when a validator throws", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const error = new Error("boom");
+		F.addValidator("throws", () => {
+			throw error;
+		});
+		const { get } = setup(`
+			<input data-validator="throws" aria-describedby="msg" /><span id="msg"></span>
+			<button type="submit" data-submit>Submit</button>
+		`);
+		const input = get("input");
+		input.value = "x";
+		expect(() => fire(input, "input")).not.toThrow();
+		expect(warn).toHaveBeenCalledWith('Formageddon: validator "throws" failed', error);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(get("button").disabled).toBe(true);
+		warn.mockRestore();
+	});
+
+	it("keeps the submit button disabled while an untouched field fails a validator", () => {
+		const { get } = setup(`
+			<input data-validator="sku" value="nope" />
+			<button type="submit" data-submit>Submit</button>
+		`);
+		expect(get("button").disabled).toBe(true);
+	});
+
+	it("enables the submit button once the validator passes", () => {
+		const { get } = setup(`
+			<input data-validator="sku" />
+			<button type="submit" data-submit>Submit</button>
+		`);
+		const input = get("input");
+		input.value = "ABC-1234";
+		fire(input, "input");
+		expect(get("button").disabled).toBe(false);
+	});
+});
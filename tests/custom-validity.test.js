@@ -0,0 +1,100 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+F.addValidator("even", (value) => Number(value) % 2 === 0, {
+	message: "Enter an even number.",
+});
+
+describe("custom validity", () => {
+	it("reflects a confirm mismatch into setCustomValidity", () => {
+		const { form, get } = setup(`
+			<input id="password" value="secret" />
+			<input id="confirm" data-confirm="#password" data-confirm-err="Passwords differ" />
+		`);
+		const confirm = get("#confirm");
+		confirm.value = "secrets";
+		fire(confirm, "input");
+
+		expect(confirm.validity.customError).toBe(true);
+		expect(confirm.validationMessage).toBe("Passwords differ");
+		expect(form.checkValidity()).toBe(false);
+		expect(confirm.matches(":invalid")).toBe(true);
+
+		confirm.value = "secret";
+		fire(confirm, "input");
+		expect(confirm.validity.valid).toBe(true);
+		expect(form.checkValidity()).toBe(true);
+	});
+
+	it("reflects custom validator failures", () => {
+		const { get } = setup(`<input data-validator="even" />`);
+		const input = get("input");
+		input.value = "3";
+		fire(input, "input");
+		expect(input.validationMessage).toBe("Enter an even number.");
+
+		input.value = "4";
+		fire(input, "input");
+		expect(input.validationMessage).toBe("");
+	});
+
+	it("syncs untouched fields so the form's native state agrees at init", () => {
+		const { form, get } = setup(`<input data-validator="even" value="3" />`);
+		expect(get("input").hasAttribute("aria-invalid")).toBe(false);
+		expect(form.checkValidity()).toBe(false);
+	});
+
+	it("leaves native failures to the browser", () => {
+		const { get } = setup(`<input required />`);
+		const input = get("input");
+		fire(input, "blur");
+		expect(input.validity.valueMissing).toBe(true);
+		expect(input.validity.customError).toBe(false);
+	});
+
+	it("reflects conditional requirements, which the browser cannot see", () => {
+		const { get } = setup(`
+			<input id="phone" value="0400" />
+			<input id="ext" data-required-if="#phone" />
+		`);
+		const ext = get("#ext");
+		fire(ext, "blur");
+		expect(ext.validity.customError).toBe(true);
+		expect(ext.validationMessage).toBe("This field is required.");
+	});
+
+	it("reports group failures through the group's members", () => {
+		const { form } = setup(`
+			<fieldset data-min-checked="2">
+				<input type="checkbox" name="a" />
+				<input type="checkbox" name="b" />
+			</fieldset>
+		`);
+		const boxes = form.querySelectorAll("input");
+		expect([...boxes].every((box) => box.validity.customError)).toBe(true);
+		expect(form.checkValidity()).toBe(false);
+
+		boxes[0].checked = boxes[1].checked = true;
+		fire(boxes[1], "change");
+		expect(form.checkValidity()).toBe(true);
+	});
+
+	it("clears custom validity for disabled fields", () => {
+		const { get } = setup(`<input data-validator="even" value="3" />`);
+		const input = get("input");
+		input.disabled = true;
+		fire(input, "input");
+		input.disabled = false;
+		expect(input.validationMessage).toBe("");
+	});
+
+	it("clears custom validity on destroyForm", () => {
+		const { form, get } = setup(`<input data-validator="even" value="3" />`);
+		F.destroyForm(form);
+		expect(get("input").validity.valid).toBe(true);
+	});
+});
@@ -0,0 +1,98 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupSummary(html, validate = "") {
+	const form = document.createElement("form");
+	form.setAttribute("data-validate", validate);
+	form.innerHTML = html;
+	document.body.appendChild(form);
+	F.initForm(form);
+	return { form, get: (selector) => form.querySelector(selector) };
+}
+
+const fields = `
+	<div data-error-summary>
+		<h2>There is a problem</h2>
+		<ul></ul>
+	</div>
+	<input id="name" required data-required-err="Enter your name." />
+	<input id="email" type="email" required data-type-err="Enter a valid email." />
+`;
+
+describe("error summary (data-error-summary)", () => {
+	it("is hidden while there are no errors", () => {
+		const { get } = setupSummary(fields);
+		expect(get("[data-error-summary]").hidden).toBe(true);
+	});
+
+	it("lists invalid fields as links with their messages", () => {
+		const { get } = setupSummary(fields);
+		fire(get("#name"), "blur");
+		get("#email").value = "nope";
+		fire(get("#email"), "input");
+
+		const summary = get("[data-error-summary]");
+		expect(summary.hidden).toBe(false);
+		const links = [...summary.querySelectorAll("ul li a")];
+		expect(links.map((link) => [link.getAttribute("href"), link.textContent])).toEqual([
+			["#name", "Enter your name."],
+			["#email", "Enter a valid email."],
+		]);
+	});
+
+	it("keeps the author's heading", () => {
+		const { get } = setupSummary(fields);
+		fire(get("#name"), "blur");
+		expect(get("[data-error-summary] h2").textContent).toBe("There is a problem");
+	});
+
+	it("creates a list when the container has none", () => {
+		const { get } = setupSummary(`
+			<div data-error-summary></div>
+			<input id="name" required />
+		`);
+		fire(get("#name"), "blur");
+		expect(get("[data-error-summary] ul li a").textContent).toBe("This field is required.");
+	});
+
+	it("removes fields once they are fixed", () => {
+		const { get } = setupSummary(fields);
+		const name = get("#name");
+		fire(name, "blur");
+		name.value = "Andrew";
+		fire(name, "input");
+		expect(get("[data-error-summary] li")).toBeNull();
+		expect(get("[data-error-summary]").hidden).toBe(true);
+	});
+
+	it("focuses the field when a link is clicked", () => {
+		const { get } = setupSummary(fields);
+		fire(get("#name"), "blur");
+		get("[data-error-summary] a").click();
+		expect(document.activeElement).toBe(get("#name"));
+	});
+
+	it("is filled and focused after a failed submit", () => {
+		const { form, get } = setupSummary(fields, "submit");
+		const event = new Event("submit", { bubbles: true, cancelable: true });
+		form.dispatchEvent(event);
+
+		const summary = get("[data-error-summary]");
+		expect(event.defaultPrevented).toBe(true);
+		expect(summary.querySelectorAll("li").length).toBe(2);
+		expect(summary.getAttribute("tabindex")).toBe("-1");
+		expect(document.activeElement).toBe(summary);
+	});
+
+	it("is cleared on reset", () => {
+		const { form, get } = setupSummary(fields);
+		fire(get("#name"), "blur");
+		form.dispatchEvent(new Event("reset"));
+		expect(get("[data-error-summary] li")).toBeNull();
+		expect(get("[data-error-summary]").hidden).toBe(true);
+	});
+});
@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+afterEach(() => {
+	vi.useRealTimers();
+	vi.unstubAllGlobals();
+});
+
+function file(name, size, type = "application/pdf") {
+	return new File(["x".repeat(size)], name, { type });
+}
+
+function setupFiles(attrs, extra = "") {
+	const { get } = setup(`
+		<input type="file" multiple ${attrs} aria-describedby="msg" />
+		<span id="msg"></span>
+		${extra}
+	`);
+	const input = get("input");
+	const choose = (files) => {
+		Object.defineProperty(input, "files", { value: files, configurable: true });
+		fire(input, "change");
+	};
+	return { input, msg: get("#msg"), button: get("button"), choose };
+}
+
+describe("file size and count", () => {
+	it("rejects a file over data-max-size and names it", () => {
+		const { input, msg, choose } = setupFiles('data-max-size="1KB"');
+		choose([file("small.pdf", 100), file("big.pdf", 2000)]);
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(msg.textContent).toBe("big.pdf must be 1KB or smaller.");
+
+		choose([file("small.pdf", 1024)]);
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("rejects a file under data-min-size", () => {
+		const { msg, choose } = setupFiles('data-min-size="10 B"');
+		choose([file("empty.pdf", 0)]);
+		expect(msg.textContent).toBe("empty.pdf must be at least 10 B.");
+	});
+
+	it("checks the total size of the selection", () => {
+		const { msg, choose } = setupFiles('data-max-total-size="1.5kb" data-max-total-size-err="Too much ({file})"');
+		choose([file("a.pdf", 1000), file("b.pdf", 1000)]);
+		expect(msg.textContent).toBe("Too much ()");
+	});
+
+	it("limits the number of files", () => {
+		const { msg, choose } = setupFiles('data-max-files="2"');
+		choose([file("a.pdf", 1), file("b.pdf", 1), file("c.pdf", 1)]);
+		expect(msg.textContent).toBe("Select no more than 2 files.");
+	});
+
+	it("uses the per-constraint message override with {file}", () => {
+		const { msg, choose } = setupFiles('data-max-size="1MB" data-max-size-err="{file} is too large"');
+		choose([file("huge.pdf", 1024 ** 2 + 1)]);
+		expect(msg.textContent).toBe("huge.pdf is too large");
+	});
+
+	it("warns about an unreadable size", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { choose } = setupFiles('data-max-size="lots"');
+		choose([file("a.pdf", 1)]);
+		expect(warn).toHaveBeenCalledWith('Formageddon: unreadable file size "lots"');
+		warn.mockRestore();
+	});
+});
+
+describe("image dimensions", () => {
+	function stubImages(sizes) {
+		const decode = vi.fn((blob) =>
+			Promise.resolve({ ...sizes[blob.name], close: vi.fn() }),
+		);
+		vi.stubGlobal("createImageBitmap", decode);
+		return decode;
+	}
+
+	it("holds data-submit until the images are measured", async () => {
+		vi.useFakeTimers();
+		stubImages({ "wide.png": { width: 1200, height: 800 } });
+		const { input, button, choose } = setupFiles(
+			'data-min-width="800"',
+			"<button type=\"submit\" data-submit>Upload</button>",
+		);
+		choose([file("wide.png", 10, "image/png")]);
+		expect(input.getAttribute("aria-busy")).toBe("true");
+		expect(button.disabled).toBe(true);
+
+		await vi.runAllTimersAsync();
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+		expect(button.disabled).toBe(false);
+	});
+
+	it("rejects an image below data-min-width or data-min-height and names it", async () => {
+		vi.useFakeTimers();
+		stubImages({
+			"ok.png": { width: 1000, height: 1000 },
+			"short.png": { width: 1000, height: 300 },
+		});
+		const { input, msg, choose } = setupFiles('data-min-width="800" data-min-height="600"');
+		choose([file("ok.png", 10, "image/png"), file("short.png", 10, "image/png")]);
+		await vi.runAllTimersAsync();
+
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(msg.textContent).toBe("short.png must be at least 600px tall.");
+	});
+
+	it("skips files that are not images", async () => {
+		vi.useFakeTimers();
+		const decode = stubImages({});
+		const { input, choose } = setupFiles('data-min-width="800"');
+		choose([file("notes.pdf", 10)]);
+		await vi.runAllTimersAsync();
+
+		expect(decode).not.toHaveBeenCalled();
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("re-checks when different files with the same value are chosen", async () => {
+		vi.useFakeTimers();
+		stubImages({
+			"a.png": { width: 1000, height: 1000 },
+			"b.png": { width: 100, height: 100 },
+		});
+		const { input, choose } = setupFiles('data-min-width="800"');
+		choose([file("a.png", 10, "image/png")]);
+		await vi.runAllTimersAsync();
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+
+		choose([file("b.png", 10, "image/png")]);
+		await vi.runAllTimersAsync();
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("runs only after the synchronous file checks pass", async () => {
+		vi.useFakeTimers();
+		const decode = stubImages({});
+		const { msg, choose } = setupFiles('data-max-size="1B" data-min-width="800"');
+		choose([file("big.png", 10, "image/png")]);
+		await vi.runAllTimersAsync();
+
+		expect(decode).not.toHaveBeenCalled();
+		expect(msg.textContent).toBe("big.png must be 1B or smaller.");
+	});
+});
@@ -0,0 +1,161 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupForm(html, attrs = {}) {
+	const form = document.createElement("form");
+	for (const [name, value] of Object.entries(attrs)) form.setAttribute(name, value);
+	form.innerHTML = html;
+	document.body.appendChild(form);
+	F.initForm(form);
+	return { form, get: (selector) => form.querySelector(selector) };
+}
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+const contact = `
+	<input name="name" required />
+	<input name="phone" />
+	<input name="email" type="email" />
+	<p id="form-msg"></p>
+	<button type="submit" data-submit>Send</button>
+`;
+
+describe("data-require-one-of", () => {
+	it("keeps data-submit disabled until one of the fields has a value", () => {
+		const { get } = setupForm(contact, { "data-require-one-of": "phone, email", "aria-describedby": "form-msg" });
+		type(get("[name=name]"), "Ada");
+		expect(get("button").disabled).toBe(true);
+
+		type(get("[name=email]"), "ada@example.com");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("renders into the form's aria-describedby element once a field is touched", () => {
+		const { get } = setupForm(contact, { "data-require-one-of": "phone,email", "aria-describedby": "form-msg" });
+		const msg = get("#form-msg");
+		expect(msg.textContent).toBe("");
+
+		fire(get("[name=name]"), "blur");
+		expect(msg.textContent).toBe("Fill in at least one of these fields.");
+		expect(msg.classList.contains("invalid")).toBe(true);
+
+		type(get("[name=phone]"), "0400 000 000");
+		expect(msg.textContent).toBe("");
+		expect(msg.classList.contains("invalid")).toBe(false);
+	});
+
+	it("uses data-require-one-of-err with placeholders", () => {
+		const { get } = setupForm(contact, {
+			"data-require-one-of": "phone,email",
+			"data-require-one-of-err": "Give us a {data-require-one-of}.",
+			"aria-describedby": "form-msg",
+		});
+		fire(get("[name=name]"), "blur");
+		expect(get("#form-msg").textContent).toBe("Give us a phone,email.");
+	});
+
+	it("blocks a submit and focuses the message when only the form rule fails", () => {
+		const { form, get } = setupForm(contact, {
+			"data-validate": "submit",
+			"data-require-one-of": "phone,email",
+			"aria-describedby": "form-msg",
+		});
+		get("[name=name]").value = "Ada";
+		const event = new Event("submit", { cancelable: true });
+		form.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(true);
+		expect(get("#form-msg").textContent).toBe("Fill in at least one of these fields.");
+		expect(document.activeElement).toBe(get("#form-msg"));
+	});
+
+	it("warns about names with no control", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { form, get } = setupForm(contact, { "data-require-one-of": "phone,fax" });
+		get("[name=name]").value = "Ada";
+		F.validateForm(form);
+		expect(warn).toHaveBeenCalledWith('Formageddon: no control named "fax" for data-require-one-of');
+		warn.mockRestore();
+	});
+});
+
+describe("Formageddon.addFormValidator", () => {
+	const split = `
+		<input name="a" type="number" value="50" required />
+		<input name="b" type="number" value="40" required />
+		<p id="form-msg"></p>
+		<button type="submit" data-submit>Save</button>
+	`;
+	const total = (form) => Number(form.elements.a.value) + Number(form.elements.b.value);
+
+	it("shows the returned message and feeds data-submit", () => {
+		const { form, get } = setupForm(split, { "aria-describedby": "form-msg" });
+		F.addFormValidator(form, (f) => total(f) === 100 || `The split adds up to ${total(f)}%, not 100%.`);
+		expect(get("button").disabled).toBe(true);
+
+		fire(get("[name=a]"), "blur");
+		expect(get("#form-msg").textContent).toBe("The split adds up to 90%, not 100%.");
+
+		type(get("[name=b]"), "50");
+		expect(get("#form-msg").textContent).toBe("");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("uses data-form-err when the validator returns false", () => {
+		const { form, get } = setupForm(split, { "aria-describedby": "form-msg", "data-form-err": "Check the split." });
+		F.addFormValidator(form, (f) => total(f) === 100);
+		fire(get("[name=a]"), "blur");
+		expect(get("#form-msg").textContent).toBe("Check the split.");
+	});
+
+	it("returns a function that removes the rule", () => {
+		const { form, get } = setupForm(split);
+		const remove = F.addFormValidator(form, () => false);
+		expect(get("button").disabled).toBe(true);
+		remove();
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("treats a validator that throws as failing and warns", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { form, get } = setupForm(split, { "aria-describedby": "form-msg" });
+		const error = new Error("boom");
+		expect(() =>
+			F.addFormValidator(form, () => {
+				throw error;
+			}),
+		).not.toThrow();
+		expect(warn).toHaveBeenCalledWith("Formageddon: form validator failed", error);
+		expect(get("button").disabled).toBe(true);
+
+		fire(get("[name=a]"), "blur");
+		expect(get("#form-msg").textContent).toBe("The form is invalid.");
+		warn.mockRestore();
+	});
+
+	it("is reported by validateForm", () => {
+		const { form, get } = setupForm(split, { "aria-describedby": "form-msg" });
+		F.addFormValidator(form, () => "Nope.");
+		const result = F.validateForm(form);
+
+		expect(result.valid).toBe(false);
+		expect(result.message).toBe("Nope.");
+		expect(result.fields.every((field) => field.valid)).toBe(true);
+		expect(get("#form-msg").textContent).toBe("Nope.");
+	});
+
+	it("hides the message again on reset", () => {
+		const { form, get } = setupForm(`${split}<button type="reset">Reset</button>`, { "aria-describedby": "form-msg" });
+		F.addFormValidator(form, () => "Nope.");
+		F.validateForm(form);
+		form.reset();
+		expect(get("#form-msg").textContent).toBe("");
+	});
+});
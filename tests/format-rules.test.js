@@ -0,0 +1,102 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+import "../formageddon-rules.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function check(rule, value, attrs = "") {
+	const { get } = setup(`<input data-rule="${rule}" ${attrs} aria-describedby="msg" /><span id="msg"></span>`);
+	const input = get("input");
+	input.value = value;
+	fire(input, "input");
+	return { valid: input.getAttribute("aria-invalid") === "false", message: get("#msg").textContent };
+}
+
+describe("data-rule", () => {
+	it.each([
+		["luhn", "4111 1111 1111 1111", true],
+		["luhn", "4111-1111-1111-1112", false],
+		["luhn", "1234", false],
+		["iban", "GB82 WEST 1234 5698 7654 32", true],
+		["iban", "de89370400440532013000", true],
+		["iban", "GB82 WEST 1234 5698 7654 33", false],
+		["isbn", "0-306-40615-2", true],
+		["isbn", "080442957X", true],
+		["isbn", "978-3-16-148410-0", true],
+		["isbn", "978-3-16-148410-1", false],
+		["uuid", "123e4567-e89b-12d3-a456-426614174000", true],
+		["uuid", "123e4567e89b12d3a456426614174000", false],
+		["slug", "hello-world-2", true],
+		["slug", "Hello--world", false],
+		["phone", "+61 (02) 9876-5432", true],
+		["phone", "12345", false],
+		["phone", "call me", false],
+		["postcode-AU", "2000", true],
+		["postcode-AU", "200", false],
+		["postcode-US", "90210-1234", true],
+		["postcode-UK", "SW1A 1AA", true],
+		["postcode-UK", "SW1A", false],
+		["postcode-CA", "K1A 0B1", true],
+		["postcode-DE", "10115", true],
+		["postcode-NL", "1012 AB", true],
+	])("%s accepts %s: %s", (rule, value, valid) => {
+		expect(check(rule, value).valid).toBe(valid);
+	});
+
+	it("shows the rule's default message", () => {
+		expect(check("iban", "not an iban").message).toBe("Enter a valid IBAN.");
+		document.body.innerHTML = "";
+		expect(check("postcode-US", "1234").message).toBe("Enter a valid ZIP code.");
+	});
+
+	it("uses data-rule-err as the override", () => {
+		expect(check("luhn", "1234", 'data-rule-err="Check your card number"').message).toBe("Check your card number");
+	});
+
+	it("ignores surrounding whitespace", () => {
+		expect(check("uuid", " 123e4567-e89b-12d3-a456-426614174000 ").valid).toBe(true);
+	});
+
+	it("leaves an empty optional field neutral", () => {
+		const { get } = setup(`<input data-rule="luhn" />`);
+		fire(get("input"), "blur");
+		expect(get("input").hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("runs alongside native constraints and validators", () => {
+		const { get } = setup(`<input required data-rule="slug" aria-describedby="msg" /><span id="msg"></span>`);
+		fire(get("input"), "blur");
+		expect(get("#msg").textContent).toBe("This field is required.");
+	});
+
+	it("warns about unknown rules", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		expect(check("postcode-XX", "1234").valid).toBe(true);
+		expect(warn).toHaveBeenCalledWith('Formageddon: unknown rule data-rule="postcode-XX"');
+		warn.mockRestore();
+	});
+
+	it("registers custom rules with addRule", () => {
+		F.addRule("even-digits", (value) => /^\d*[02468]$/.test(value), "Enter an even number.");
+		expect(check("even-digits", " 42 ").valid).toBe(true);
+		document.body.innerHTML = "";
+		expect(check("even-digits", "41").message).toBe("Enter an even number.");
+	});
+
+	it("is not replaced by a validator registered under the same name", () => {
+		F.addValidator("phone", () => true);
+		expect(check("phone", "call me").message).toBe("Enter a valid phone number.");
+	});
+
+	it("is not available through data-validator", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { get } = setup(`<input data-validator="luhn" />`);
+		const input = get("input");
+		input.value = "4111 1111 1111 1111";
+		fire(input, "input");
+		expect(warn).toHaveBeenCalledWith('Formageddon: no validator registered for data-validator="luhn"');
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,166 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function check(input, checked = true) {
+	input.checked = checked;
+	fire(input, "change");
+}
+
+describe("checkbox groups", () => {
+	function setupInterests() {
+		return setup(`
+			<fieldset id="interests" data-min-checked="2" data-max-checked="3" aria-describedby="msg">
+				<input type="checkbox" name="interests" value="a" />
+				<input type="checkbox" name="interests" value="b" />
+				<input type="checkbox" name="interests" value="c" />
+				<input type="checkbox" name="interests" value="d" />
+			</fieldset>
+			<span id="msg"></span>
+			<button type="submit" data-submit>Submit</button>
+		`);
+	}
+
+	it("requires at least data-min-checked options", () => {
+		const { get } = setupInterests();
+		check(get("[value=a]"));
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Select at least 2 options.");
+	});
+
+	it("allows no more than data-max-checked options", () => {
+		const { get } = setupInterests();
+		["a", "b", "c", "d"].forEach((value) => check(get(`[value=${value}]`)));
+		expect(get("#msg").textContent).toBe("Select no more than 3 options.");
+	});
+
+	it("is valid within range", () => {
+		const { get } = setupInterests();
+		check(get("[value=a]"));
+		check(get("[value=b]"));
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("false");
+		expect(get("#msg").classList.contains("valid")).toBe(true);
+	});
+
+	it("uses custom group messages", () => {
+		const { get } = setup(`
+			<fieldset data-min-checked="2" data-min-checked-err="Pick {data-min-checked} or more." aria-describedby="msg">
+				<input type="checkbox" name="x" value="a" />
+				<input type="checkbox" name="x" value="b" />
+			</fieldset>
+			<span id="msg"></span>
+		`);
+		check(get("[value=a]"));
+		expect(get("#msg").textContent).toBe("Pick 2 or more.");
+	});
+
+	it("does not mark individual checkboxes", () => {
+		const { get } = setupInterests();
+		check(get("[value=a]"));
+		expect(get("[value=a]").hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("feeds into the data-submit state", () => {
+		const { get } = setupInterests();
+		expect(get("button").disabled).toBe(true);
+		check(get("[value=a]"));
+		check(get("[value=b]"));
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("supports a shared name without a fieldset", () => {
+		const { get } = setup(`
+			<input type="checkbox" name="tags" value="a" data-min-checked="2" aria-describedby="msg" />
+			<input type="checkbox" name="tags" value="b" />
+			<input type="checkbox" name="tags" value="c" />
+			<span id="msg"></span>
+		`);
+		check(get("[value=c]"));
+		expect(get("[value=a]").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Select at least 2 options.");
+
+		check(get("[value=b]"));
+		expect(get("[value=a]").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("is included in validateForm results", () => {
+		const { form } = setupInterests();
+		const result = F.validateForm(form, { silent: true });
+		expect(result.valid).toBe(false);
+		expect(result.fields.map((field) => [field.element.id, field.key])).toEqual([["interests", "minChecked"]]);
+	});
+});
+
+describe("radio groups", () => {
+	function setupPlan() {
+		return setup(`
+			<fieldset data-group data-required-err="Choose a plan." aria-describedby="msg">
+				<input type="radio" name="plan" value="free" required aria-describedby="msg" />
+				<input type="radio" name="plan" value="pro" required aria-describedby="msg" />
+			</fieldset>
+			<span id="msg"></span>
+		`);
+	}
+
+	it("shows a single message for a required group", () => {
+		const { get } = setupPlan();
+		fire(get("[value=free]"), "blur");
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Choose a plan.");
+		expect(get("[value=free]").hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("is valid once any radio is checked", () => {
+		const { get } = setupPlan();
+		check(get("[value=pro]"));
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("focuses the first radio when the submit is blocked", () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "submit");
+		form.innerHTML = `
+			<fieldset data-group>
+				<input type="radio" name="plan" value="free" required />
+				<input type="radio" name="plan" value="pro" required />
+			</fieldset>
+		`;
+		document.body.appendChild(form);
+		F.initForm(form);
+		form.dispatchEvent(new Event("submit", { cancelable: true }));
+		expect(document.activeElement).toBe(form.querySelector("[value=free]"));
+	});
+
+	it("validates required radios sharing a name as one group without a fieldset", () => {
+		const { get } = setup(`
+			<input type="radio" name="plan" value="free" required aria-describedby="msg" />
+			<input type="radio" name="plan" value="pro" required aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Save</button>
+		`);
+		fire(get("[value=free]"), "blur");
+		expect(get("[value=free]").getAttribute("aria-invalid")).toBe("true");
+		expect(get("[value=pro]").hasAttribute("aria-invalid")).toBe(false);
+		expect(get("#msg").textContent).toBe("This field is required.");
+
+		check(get("[value=pro]"));
+		expect(get("[value=free]").getAttribute("aria-invalid")).toBe("false");
+		expect(get("#msg").textContent).toBe("");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("is cleared on reset", () => {
+		const { form, get } = setup(`
+			<fieldset data-group>
+				<input type="radio" name="plan" value="free" required />
+			</fieldset>
+			<button type="reset">Reset</button>
+		`);
+		fire(get("[value=free]"), "blur");
+		form.dispatchEvent(new Event("reset"));
+		expect(get("fieldset").hasAttribute("aria-invalid")).toBe(false);
+	});
+});
@@ -1,7 +1,11 @@
+import { afterAll } from "vitest";
 import "../formageddon.js";
 
 export const F = globalThis.Formageddon;
 
+// jsdom empties the document on teardown - stop the observer first so it does not see those removals
+afterAll(() => F.destroy());
+
 export function setup(html) {
 	const form = document.createElement("form");
 	form.innerHTML = html;
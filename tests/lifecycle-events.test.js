@@ -0,0 +1,91 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupField(attrs = "") {
+	const { form, get } = setup(`
+		<input required data-success="Looks good!" ${attrs} aria-describedby="msg" />
+		<span id="msg"></span>
+	`);
+	return { form, input: get("input"), msg: get("#msg") };
+}
+
+describe("lifecycle events", () => {
+	it("dispatches formageddon:invalid with the key and message", () => {
+		const { form, input } = setupField();
+		const listener = vi.fn();
+		form.addEventListener("formageddon:invalid", listener);
+		fire(input, "blur");
+
+		const [event] = listener.mock.calls[0];
+		expect(event.target).toBe(input);
+		expect(event.detail).toEqual({ key: "valueMissing", message: "This field is required." });
+	});
+
+	it("dispatches formageddon:valid with the success message", () => {
+		const { input } = setupField();
+		const listener = vi.fn();
+		document.addEventListener("formageddon:valid", listener);
+		input.value = "hello";
+		fire(input, "input");
+		document.removeEventListener("formageddon:valid", listener);
+
+		expect(listener.mock.calls[0][0].detail).toEqual({ key: "", message: "Looks good!" });
+	});
+
+	it("dispatches formageddon:cleared when an optional field is emptied", () => {
+		const { get } = setup(`<input minlength="3" />`);
+		const input = get("input");
+		const listener = vi.fn();
+		input.addEventListener("formageddon:cleared", listener);
+		fire(input, "input");
+		expect(listener).toHaveBeenCalledTimes(1);
+	});
+
+	it("skips the built-in rendering when the event is cancelled", () => {
+		const { input, msg } = setupField();
+		input.addEventListener("formageddon:invalid", (event) => event.preventDefault());
+		fire(input, "blur");
+		expect(msg.textContent).toBe("");
+		expect(msg.classList.contains("invalid")).toBe(false);
+		// The field state is still tracked
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("skips success rendering when formageddon:valid is cancelled", () => {
+		const { input, msg } = setupField();
+		input.addEventListener("formageddon:valid", (event) => event.preventDefault());
+		input.value = "hello";
+		fire(input, "input");
+		expect(msg.textContent).toBe("");
+	});
+
+	it("skips clearing when formageddon:cleared is cancelled", () => {
+		const { get } = setup(`<input pattern="[a-z]+" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		input.value = "1";
+		fire(input, "input");
+		input.addEventListener("formageddon:cleared", (event) => event.preventDefault());
+		input.value = "";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("The value does not match the required pattern.");
+	});
+
+	it("dispatches formageddon:form-validity when the form's validity changes", () => {
+		const { form, input } = setupField();
+		const listener = vi.fn();
+		form.addEventListener("formageddon:form-validity", listener);
+
+		input.value = "hello";
+		fire(input, "input");
+		input.value = "hello world";
+		fire(input, "input");
+		input.value = "";
+		fire(input, "input");
+
+		expect(listener.mock.calls.map(([event]) => event.detail)).toEqual([{ valid: true }, { valid: false }]);
+	});
+});
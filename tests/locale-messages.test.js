@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire, flushObserver } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+afterEach(() => {
+	document.documentElement.removeAttribute("lang");
+});
+
+F.setMessages("fr", {
+	valueMissing: "Ce champ est obligatoire.",
+	confirm: "Les valeurs ne correspondent pas.",
+	accept: "Type de fichier non valide.",
+});
+F.setMessages("de", { valueMissing: "Dieses Feld ist erforderlich." });
+
+function setupLocale(lang, field = `<input required aria-describedby="msg" />`) {
+	const { form, get } = setup(`${field}<span id="msg"></span>`);
+	if (lang) form.setAttribute("lang", lang);
+	return { form, get, msg: get("#msg") };
+}
+
+describe("locale message catalogs", () => {
+	it("uses the catalog for the form's lang", () => {
+		const { get, msg } = setupLocale("fr");
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Ce champ est obligatoire.");
+	});
+
+	it("prefers a lang on the field itself", () => {
+		const { get, msg } = setupLocale("fr", `<input required lang="de" aria-describedby="msg" />`);
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Dieses Feld ist erforderlich.");
+	});
+
+	it("falls back from a regional locale to its language", () => {
+		const { get, msg } = setupLocale("fr-CA");
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Ce champ est obligatoire.");
+	});
+
+	it("falls back to the default English message", () => {
+		const { get, msg } = setupLocale("es");
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("This field is required.");
+	});
+
+	it("falls back per key when a catalog is incomplete", () => {
+		const { get, msg } = setupLocale("de", `<input type="email" required aria-describedby="msg" />`);
+		get("input").value = "nope";
+		fire(get("input"), "input");
+		expect(msg.textContent).toBe("The value is not the correct type.");
+	});
+
+	it("reads the lang from the document element", () => {
+		document.documentElement.setAttribute("lang", "fr");
+		const { get, msg } = setupLocale(null);
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Ce champ est obligatoire.");
+	});
+
+	it("translates the accept and confirm messages", () => {
+		const { get, msg } = setupLocale(
+			"fr",
+			`<input id="pw" value="a" /><input data-confirm="#pw" value="b" aria-describedby="msg" />`,
+		);
+		fire(get("[data-confirm]"), "input");
+		expect(msg.textContent).toBe("Les valeurs ne correspondent pas.");
+	});
+
+	it("lets data-*-err attributes win", () => {
+		const { get, msg } = setupLocale("fr", `<input required data-required-err="Custom." aria-describedby="msg" />`);
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Custom.");
+	});
+
+	it("merges repeated calls for the same locale", () => {
+		F.setMessages("it", { valueMissing: "Campo obbligatorio." });
+		F.setMessages("it", { typeMismatch: "Tipo non valido." });
+		const { get, msg } = setupLocale("it");
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("Campo obbligatorio.");
+	});
+
+	it("re-renders shown messages when lang changes", async () => {
+		const { form, get, msg } = setupLocale("en");
+		fire(get("input"), "blur");
+		expect(msg.textContent).toBe("This field is required.");
+
+		form.setAttribute("lang", "fr");
+		await flushObserver();
+		expect(msg.textContent).toBe("Ce champ est obligatoire.");
+	});
+
+	it("validates a field again when its value was fixed by a script", () => {
+		const { form, get, msg } = setupLocale("nl");
+		const listener = vi.fn();
+		const input = get("input");
+		fire(input, "blur");
+		form.addEventListener("formageddon:invalid", listener);
+		input.value = "filled";
+		F.setMessages("nl", { valueMissing: "Dit veld is verplicht." });
+
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+		expect(msg.textContent).toBe("");
+		expect(listener).not.toHaveBeenCalled();
+	});
+
+	it("re-renders shown messages when a catalog is registered", () => {
+		const { get, msg } = setupLocale("nl");
+		fire(get("input"), "blur");
+		F.setMessages("nl", { valueMissing: "Dit veld is verplicht." });
+		expect(msg.textContent).toBe("Dit veld is verplicht.");
+	});
+});
@@ -0,0 +1,75 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function render(html, value) {
+	const { get } = setup(`${html}<span id="msg"></span>`);
+	const input = get("input");
+	input.value = value;
+	fire(input, "input");
+	return get("#msg").textContent;
+}
+
+describe("message interpolation", () => {
+	it("fills constraint placeholders from attributes", () => {
+		const message = render(
+			`<input type="number" min="1" max="10" data-max-err="Pick {min} to {max}." aria-describedby="msg" />`,
+			"11",
+		);
+		expect(message).toBe("Pick 1 to 10.");
+	});
+
+	it("fills {value} and {length} from the current value", () => {
+		const message = render(
+			`<input pattern="[a-z]+" data-pattern-err="&quot;{value}&quot; ({length} characters) is not allowed." aria-describedby="msg" />`,
+			"ABC",
+		);
+		expect(message).toBe('"ABC" (3 characters) is not allowed.');
+	});
+
+	it("fills {step}", () => {
+		expect(
+			render(`<input type="number" step="5" data-step-err="Use steps of {step}." aria-describedby="msg" />`, "3"),
+		).toBe("Use steps of 5.");
+	});
+
+	it("fills {accept}", () => {
+		const { get } = setup(`
+			<input type="file" accept=".pdf" data-accept-err="Only {accept} files." aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		Object.defineProperty(input, "files", {
+			value: [new File([""], "photo.png", { type: "image/png" })],
+		});
+		fire(input, "change");
+		expect(get("#msg").textContent).toBe("Only .pdf files.");
+	});
+
+	it("fills {minlength} and {maxlength}", () => {
+		F.addValidator("never", () => false, { message: "Between {minlength} and {maxlength} characters." });
+		const message = render(
+			`<input minlength="2" maxlength="8" data-validator="never" aria-describedby="msg" />`,
+			"abc",
+		);
+		expect(message).toBe("Between 2 and 8 characters.");
+	});
+
+	it("leaves unknown placeholders untouched", () => {
+		const message = render(`<input required data-required-err="Missing {nope}." aria-describedby="msg" />`, "");
+		expect(message).toBe("Missing {nope}.");
+	});
+
+	it("interpolates data-success", () => {
+		const message = render(`<input required data-success="{value} looks good!" aria-describedby="msg" />`, "Andrew");
+		expect(message).toBe("Andrew looks good!");
+	});
+
+	it("interpolates messages returned by validateField", () => {
+		const { get } = setup(`<input required data-required-err="{placeholder} is required." placeholder="Email" />`);
+		expect(F.validateField(get("input"), { silent: true }).message).toBe("Email is required.");
+	});
+});
@@ -0,0 +1,96 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("data-normalize", () => {
+	it.each([
+		["trim", "  bob  ", "bob"],
+		["lowercase", "Bob@Example.COM", "bob@example.com"],
+		["uppercase", "sw1a 1aa", "SW1A 1AA"],
+		["collapse-whitespace", "New   York\t City", "New York City"],
+		["digits-only", "0400 123-456", "0400123456"],
+		["trim collapse-whitespace lowercase", "  Jane \n DOE ", "jane doe"],
+	])("%s turns %j into %j on blur", (names, value, expected) => {
+		const { get } = setup(`<input data-normalize="${names}" />`);
+		const input = get("input");
+		type(input, value);
+		fire(input, "blur");
+		expect(input.value).toBe(expected);
+	});
+
+	it("leaves the value alone while typing", () => {
+		const { get } = setup(`<input data-normalize="trim" />`);
+		const input = get("input");
+		type(input, "bob ");
+		expect(input.value).toBe("bob ");
+	});
+
+	it("normalises on change", () => {
+		const { get } = setup(`<input data-normalize="lowercase" />`);
+		const input = get("input");
+		input.value = "ABC";
+		fire(input, "change");
+		expect(input.value).toBe("abc");
+	});
+
+	it("validates the normalised value", () => {
+		const { get } = setup(`<input required data-normalize="trim" aria-describedby="msg" /><span id="msg"></span>`);
+		const input = get("input");
+		type(input, "   ");
+		fire(input, "blur");
+		expect(input.value).toBe("");
+		expect(get("#msg").textContent).toBe("This field is required.");
+	});
+
+	it("stops stray spaces from breaking data-confirm", () => {
+		const { get } = setup(`
+			<input id="email" data-normalize="trim lowercase" />
+			<input id="confirm" data-confirm="#email" data-normalize="trim lowercase" />
+		`);
+		const email = get("#email");
+		const confirm = get("#confirm");
+		type(email, "Bob@x.com ");
+		fire(email, "blur");
+		type(confirm, " bob@x.com");
+		fire(confirm, "blur");
+		expect(confirm.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("normalises every field before a submit is validated", () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "submit");
+		form.innerHTML = `<input data-normalize="digits-only" pattern="\\d{4}" />`;
+		document.body.appendChild(form);
+		F.initForm(form);
+		const input = form.querySelector("input");
+		input.value = "12-34";
+
+		const event = new Event("submit", { cancelable: true });
+		form.dispatchEvent(event);
+		expect(input.value).toBe("1234");
+		expect(event.defaultPrevented).toBe(false);
+	});
+
+	it("does not touch checkboxes", () => {
+		const { get } = setup(`<input type="checkbox" required value="On " data-normalize="trim lowercase" />`);
+		const input = get("input");
+		fire(input, "change");
+		expect(input.value).toBe("On ");
+	});
+
+	it("warns about unknown normalisers", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { get } = setup(`<input data-normalize="shout" />`);
+		fire(get("input"), "blur");
+		expect(warn).toHaveBeenCalledWith('Formageddon: unknown data-normalize="shout"');
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,137 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup, fire, flushObserver } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("pre-rendered server errors", () => {
+	it("keeps a data-server-err error until the field is edited", () => {
+		const { get } = setup(`
+			<input name="email" type="email" value="taken@x.com" data-server-err="This email is already registered." aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Save</button>
+		`);
+		const input = get("input");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("This email is already registered.");
+		expect(get("#msg").classList.contains("invalid")).toBe(true);
+		expect(input.validity.customError).toBe(true);
+		expect(get("button").disabled).toBe(true);
+
+		type(input, "new@x.com");
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+		expect(get("#msg").textContent).toBe("");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("adopts aria-invalid markup with a rendered message", () => {
+		const { get } = setup(`
+			<input name="username" value="admin" aria-invalid="true" aria-describedby="msg" />
+			<span id="msg" class="invalid">That username is reserved.</span>
+			<button type="submit" data-submit>Save</button>
+		`);
+		const input = get("input");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+		expect(input.validationMessage).toBe("That username is reserved.");
+		expect(get("button").disabled).toBe(true);
+	});
+
+	it("is not overwritten by unrelated events", () => {
+		const { get } = setup(`
+			<input id="email" required value="taken@x.com" data-server-err="Already registered." aria-describedby="msg" />
+			<span id="msg"></span>
+			<input id="name" required />
+		`);
+		type(get("#name"), "Ada");
+		fire(get("#email"), "blur");
+		expect(get("#email").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("Already registered.");
+	});
+
+	it("ignores aria-invalid without a message", () => {
+		const { get } = setup(`
+			<input name="username" value="admin" aria-invalid="true" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		expect(get("input").validity.valid).toBe(true);
+	});
+
+	it("does not bring a resolved error back when the form is initialised again", async () => {
+		const { form, get } = setup(`
+			<input name="email" value="taken@x.com" data-server-err="Already registered." />
+		`);
+		form.setAttribute("data-validate", "");
+		const input = get("input");
+		type(input, "new@x.com");
+
+		form.appendChild(document.createElement("input"));
+		await flushObserver();
+		F.initForm(form);
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	async function setupConfirm() {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `
+			<input id="password" name="password" />
+			<input id="confirm" name="confirm" data-confirm="#password" aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Save</button>
+		`;
+		document.body.appendChild(form);
+		await flushObserver();
+		const get = (selector) => form.querySelector(selector);
+		type(get("#password"), "secret");
+		type(get("#confirm"), "secrex");
+		expect(get("#msg").textContent).toBe("Values do not match.");
+		return { form, get };
+	}
+
+	function expectResolved(get) {
+		type(get("#password"), "secrex");
+		expect(F.validateField(get("#confirm"), { silent: true }).key).toBe("");
+		expect(get("#confirm").getAttribute("aria-invalid")).toBe("false");
+		expect(get("#msg").textContent).toBe("");
+		expect(get("button").disabled).toBe(false);
+	}
+
+	it("does not adopt its own errors when a destroyed form is initialised again", async () => {
+		const { form, get } = await setupConfirm();
+		F.destroyForm(form);
+		F.initForm(form);
+		expectResolved(get);
+	});
+
+	it("does not adopt its own errors when a form is detached and attached again", async () => {
+		const { form, get } = await setupConfirm();
+		form.remove();
+		await flushObserver();
+		document.body.appendChild(form);
+		await flushObserver();
+		expectResolved(get);
+	});
+
+	it("adopts errors on groups", () => {
+		const { get } = setup(`
+			<fieldset data-group data-server-err="That plan is sold out." aria-describedby="msg">
+				<input type="radio" name="plan" value="a" checked />
+				<input type="radio" name="plan" value="b" />
+			</fieldset>
+			<span id="msg"></span>
+		`);
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("true");
+		expect(get("[value=a]").validity.customError).toBe(true);
+
+		const radio = get("[value=b]");
+		radio.checked = true;
+		fire(radio, "change");
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("false");
+	});
+});
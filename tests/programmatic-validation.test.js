@@ -0,0 +1,108 @@
+import { beforeEach, describe, it, expect } from "vitest";
+import { F, setup } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+describe("validateField", () => {
+	it("returns the failing key and message", () => {
+		const { get } = setup(`<input name="email" type="email" required data-required-err="Email is required." />`);
+		const result = F.validateField(get("input"));
+		expect(result).toEqual({
+			element: get("input"),
+			name: "email",
+			valid: false,
+			pending: false,
+			key: "valueMissing",
+			message: "Email is required.",
+			touched: false,
+			dirty: false,
+		});
+	});
+
+	it("reports custom checks by key", () => {
+		const { get } = setup(`
+			<input id="pw" value="abc" />
+			<input id="confirm" value="xyz" data-confirm="#pw" />
+		`);
+		const result = F.validateField(get("#confirm"));
+		expect(result.key).toBe("confirm");
+		expect(result.message).toBe("Values do not match.");
+	});
+
+	it("returns a valid result with an empty key", () => {
+		const { get } = setup(`<input name="name" value="Andrew" required />`);
+		const result = F.validateField(get("input"));
+		expect(result.valid).toBe(true);
+		expect(result.key).toBe("");
+		expect(result.message).toBe("");
+	});
+
+	it("updates the UI by default", () => {
+		const { get } = setup(`<input required aria-describedby="msg" /><span id="msg"></span>`);
+		F.validateField(get("input"));
+		expect(get("input").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("This field is required.");
+	});
+
+	it("does not touch the DOM in silent mode", () => {
+		const { get } = setup(`<input required aria-describedby="msg" /><span id="msg"></span>`);
+		const result = F.validateField(get("input"), { silent: true });
+		expect(result.key).toBe("valueMissing");
+		expect(get("input").hasAttribute("aria-invalid")).toBe(false);
+		expect(get("#msg").textContent).toBe("");
+	});
+
+	it("treats disabled fields as valid", () => {
+		const { get } = setup(`<input required disabled />`);
+		expect(F.validateField(get("input")).valid).toBe(true);
+	});
+});
+
+describe("validateForm", () => {
+	it("returns overall validity and a result per managed field", () => {
+		const { form } = setup(`
+			<input name="name" value="Andrew" required />
+			<input name="email" type="email" value="nope" required />
+			<input name="notes" />
+			<input name="skipped" required data-ignore />
+		`);
+		const result = F.validateForm(form);
+		expect(result.valid).toBe(false);
+		expect(result.fields.map((field) => [field.name, field.key])).toEqual([
+			["name", ""],
+			["email", "typeMismatch"],
+		]);
+	});
+
+	it("is valid when every field passes", () => {
+		const { form } = setup(`<input name="name" value="Andrew" required />`);
+		expect(F.validateForm(form).valid).toBe(true);
+	});
+
+	it("renders every field and updates the submit button", () => {
+		const { form, get } = setup(`
+			<input required aria-describedby="msg" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Submit</button>
+		`);
+		get("input").value = "hello";
+		F.validateForm(form);
+		expect(get("input").getAttribute("aria-invalid")).toBe("false");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("leaves the DOM alone in silent mode", () => {
+		const { form, get } = setup(`<input required />`);
+		expect(F.validateForm(form, { silent: true }).valid).toBe(false);
+		expect(get("input").hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("works on forms that were never initialised", () => {
+		const form = document.createElement("form");
+		form.innerHTML = `<input name="name" required />`;
+		document.body.appendChild(form);
+		expect(F.validateForm(form).fields[0].key).toBe("valueMissing");
+	});
+});
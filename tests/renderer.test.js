@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+afterEach(() => {
+	F.setRenderer({});
+});
+
+function fieldRenderer() {
+	return {
+		invalid: vi.fn((input, { message }) => {
+			input.closest(".field").dataset.state = "error";
+			input.closest(".field").title = message;
+		}),
+		valid: vi.fn((input) => {
+			input.closest(".field").dataset.state = "ok";
+		}),
+		clear: vi.fn((input) => {
+			delete input.closest(".field").dataset.state;
+		}),
+	};
+}
+
+describe("renderers", () => {
+	it("uses the global renderer instead of the message element", () => {
+		const renderer = fieldRenderer();
+		F.setRenderer(renderer);
+		const { get } = setup(`
+			<div class="field"><input required aria-describedby="msg" /></div>
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		fire(input, "blur");
+
+		expect(renderer.invalid).toHaveBeenCalledWith(input, {
+			key: "valueMissing",
+			message: "This field is required.",
+		});
+		expect(get(".field").dataset.state).toBe("error");
+		expect(get(".field").title).toBe("This field is required.");
+		expect(get("#msg").textContent).toBe("");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+
+		input.value = "x";
+		fire(input, "input");
+		expect(get(".field").dataset.state).toBe("ok");
+	});
+
+	it("falls back to the default renderer for missing methods", () => {
+		const invalid = vi.fn();
+		F.setRenderer({ invalid });
+		const { get } = setup(`
+			<input required data-success="Nice" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		fire(input, "blur");
+		expect(invalid).toHaveBeenCalled();
+		expect(get("#msg").textContent).toBe("");
+
+		input.value = "x";
+		fire(input, "input");
+		expect(get("#msg").textContent).toBe("Nice");
+		expect(get("#msg").classList.contains("valid")).toBe(true);
+	});
+
+	it("uses a named renderer for forms with data-renderer", () => {
+		const renderer = fieldRenderer();
+		F.setRenderer("field", renderer);
+		document.body.innerHTML = `
+			<form id="a" data-renderer="field">
+				<div class="field"><input required aria-describedby="a-msg" /></div>
+				<span id="a-msg"></span>
+			</form>
+			<form id="b">
+				<input required aria-describedby="b-msg" />
+				<span id="b-msg"></span>
+			</form>
+		`;
+		const a = document.querySelector("#a input");
+		const b = document.querySelector("#b input");
+		F.initForm(document.getElementById("a"));
+		F.initForm(document.getElementById("b"));
+		fire(a, "blur");
+		fire(b, "blur");
+
+		expect(renderer.invalid).toHaveBeenCalledTimes(1);
+		expect(document.querySelector("#a .field").dataset.state).toBe("error");
+		expect(document.getElementById("a-msg").textContent).toBe("");
+		expect(document.getElementById("b-msg").textContent).toBe("This field is required.");
+	});
+
+	it("lets a field override its form's renderer", () => {
+		const renderer = fieldRenderer();
+		F.setRenderer("field", renderer);
+		const { get } = setup(`
+			<div class="field"><input required data-renderer="field" aria-describedby="msg" /></div>
+			<span id="msg"></span>
+		`);
+		fire(get("input"), "blur");
+		expect(renderer.invalid).toHaveBeenCalled();
+		expect(get("#msg").textContent).toBe("");
+	});
+
+	it("calls clear on reset", () => {
+		const renderer = fieldRenderer();
+		F.setRenderer(renderer);
+		const { form, get } = setup(`
+			<div class="field"><input required /></div>
+			<button type="reset">Reset</button>
+		`);
+		fire(get("input"), "blur");
+		form.reset();
+		expect(renderer.clear).toHaveBeenCalled();
+		expect(get(".field").dataset.state).toBeUndefined();
+	});
+
+	it("skips the renderer when the event is canceled", () => {
+		const renderer = fieldRenderer();
+		F.setRenderer(renderer);
+		const { form, get } = setup(`<div class="field"><input required /></div>`);
+		form.addEventListener("formageddon:invalid", (e) => e.preventDefault());
+		fire(get("input"), "blur");
+		expect(renderer.invalid).not.toHaveBeenCalled();
+	});
+
+	it("warns and uses the global renderer for an unknown name", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { get } = setup(`
+			<input required data-renderer="missing" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		fire(get("input"), "blur");
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('data-renderer="missing"'));
+		expect(get("#msg").textContent).toBe("This field is required.");
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,136 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, fire, flushObserver } from "./helpers.js";
+import "../formageddon-rules.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupSchema(html, fields) {
+	const form = document.createElement("form");
+	form.innerHTML = html;
+	document.body.appendChild(form);
+	F.initForm(form, { fields });
+	return { form, get: (selector) => form.querySelector(selector) };
+}
+
+describe("schema fields", () => {
+	it("writes constraints as attributes so native validity applies", () => {
+		const { get } = setupSchema(`<input name="email" aria-describedby="msg" /><span id="msg"></span>`, {
+			email: { required: true, type: "email", maxLength: 50 },
+		});
+		const input = get("input");
+		expect(input.required).toBe(true);
+		expect(input.type).toBe("email");
+		expect(input.getAttribute("maxlength")).toBe("50");
+
+		input.value = "nope";
+		fire(input, "input");
+		expect(input.validity.typeMismatch).toBe(true);
+		expect(get("#msg").textContent).toBe("The value is not the correct type.");
+	});
+
+	it("maps messages to their data-*-err attributes", () => {
+		const { get } = setupSchema(`<input name="email" aria-describedby="msg" /><span id="msg"></span>`, {
+			email: {
+				required: true,
+				type: "email",
+				messages: { valueMissing: "We need your email.", typeMismatch: "That isn't an email." },
+			},
+		});
+		const input = get("input");
+		expect(input.getAttribute("data-required-err")).toBe("We need your email.");
+		expect(input.getAttribute("data-type-err")).toBe("That isn't an email.");
+
+		fire(input, "blur");
+		expect(get("#msg").textContent).toBe("We need your email.");
+	});
+
+	it("writes other keys as kebab-case data attributes", () => {
+		const { get } = setupSchema(
+			`<input name="password" /><input name="confirm" /><input name="company" />`,
+			{
+				confirm: { confirm: "[name=password]", messages: { confirm: "Passwords differ." } },
+				company: { requiredIf: "[name=password]", validateOn: "blur", normalize: ["trim", "lowercase"] },
+			},
+		);
+		expect(get("[name=confirm]").getAttribute("data-confirm")).toBe("[name=password]");
+		expect(get("[name=confirm]").getAttribute("data-confirm-err")).toBe("Passwords differ.");
+		expect(get("[name=company]").getAttribute("data-required-if")).toBe("[name=password]");
+		expect(get("[name=company]").getAttribute("data-validate-on")).toBe("blur");
+		expect(get("[name=company]").getAttribute("data-normalize")).toBe("trim lowercase");
+	});
+
+	it("lets attributes in the markup win", () => {
+		const { get } = setupSchema(`<input name="age" type="number" min="18" data-min-err="Adults only" />`, {
+			age: { type: "text", min: 21, max: 120, messages: { rangeUnderflow: "Too young", rangeOverflow: "Too old" } },
+		});
+		const input = get("input");
+		expect(input.type).toBe("number");
+		expect(input.min).toBe("18");
+		expect(input.max).toBe("120");
+		expect(input.getAttribute("data-min-err")).toBe("Adults only");
+		expect(input.getAttribute("data-max-err")).toBe("Too old");
+	});
+
+	it("skips false and empty values", () => {
+		const { get } = setupSchema(`<input name="nickname" />`, {
+			nickname: { required: false, pattern: null, minlength: 2 },
+		});
+		const input = get("input");
+		expect(input.hasAttribute("required")).toBe(false);
+		expect(input.hasAttribute("pattern")).toBe(false);
+		expect(input.getAttribute("minlength")).toBe("2");
+	});
+
+	it("manages fields that only have schema constraints", () => {
+		const { get } = setupSchema(`<input name="code" />`, { code: { rule: "uuid" } });
+		const input = get("input");
+		input.value = "x";
+		fire(input, "input");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("writes group constraints on the first control of the name", () => {
+		const { form } = setupSchema(
+			`
+			<input type="checkbox" name="topics" value="a" />
+			<input type="checkbox" name="topics" value="b" />
+			<input type="checkbox" name="topics" value="c" />
+		`,
+			{ topics: { minChecked: 2 } },
+		);
+		const boxes = form.querySelectorAll("input");
+		expect(boxes[0].getAttribute("data-min-checked")).toBe("2");
+		expect(boxes[1].hasAttribute("data-min-checked")).toBe(false);
+
+		boxes[0].checked = true;
+		fire(boxes[0], "change");
+		expect(boxes[0].getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("applies the schema to controls added later", async () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		document.body.appendChild(form);
+		F.initForm(form, { fields: { late: { required: true } } });
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+		const input = document.createElement("input");
+		input.name = "late";
+		form.appendChild(input);
+		await flushObserver();
+		warn.mockRestore();
+
+		expect(input.required).toBe(true);
+		fire(input, "blur");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("warns about names with no control", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		setupSchema(`<input name="a" />`, { b: { required: true } });
+		expect(warn).toHaveBeenCalledWith('Formageddon: no control named "b" for the schema');
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,183 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupServer() {
+	const { form, get } = setup(`
+		<input name="email" type="email" required value="taken@x.com" aria-describedby="email-msg" />
+		<span id="email-msg"></span>
+		<input name="username" value="bob" aria-describedby="username-msg" />
+		<span id="username-msg"></span>
+		<button type="submit" data-submit>Save</button>
+	`);
+	return {
+		form,
+		email: get("[name=email]"),
+		username: get("[name=username]"),
+		emailMsg: get("#email-msg"),
+		usernameMsg: get("#username-msg"),
+		button: get("button"),
+	};
+}
+
+describe("setErrors", () => {
+	it("renders server errors in the message elements", () => {
+		const { form, email, username, emailMsg, usernameMsg } = setupServer();
+		const listener = vi.fn();
+		form.addEventListener("formageddon:invalid", listener);
+		F.setErrors(form, { email: "This email is already registered.", username: "Too popular." });
+
+		expect(email.getAttribute("aria-invalid")).toBe("true");
+		expect(emailMsg.textContent).toBe("This email is already registered.");
+		expect(emailMsg.classList.contains("invalid")).toBe(true);
+		expect(username.getAttribute("aria-invalid")).toBe("true");
+		expect(usernameMsg.textContent).toBe("Too popular.");
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			key: "server",
+			message: "This email is already registered.",
+		});
+	});
+
+	it("marks the fields invalid natively and holds data-submit", () => {
+		const { form, email, button } = setupServer();
+		expect(button.disabled).toBe(false);
+		F.setErrors(form, { email: "Already registered." });
+
+		expect(email.validity.customError).toBe(true);
+		expect(email.validationMessage).toBe("Already registered.");
+		expect(form.checkValidity()).toBe(false);
+		expect(button.disabled).toBe(true);
+	});
+
+	it("clears a field's error once the user edits it", () => {
+		const { form, email, username, emailMsg, button } = setupServer();
+		F.setErrors(form, { email: "Already registered.", username: "Too popular." });
+		email.value = "new@x.com";
+		fire(email, "input");
+
+		expect(email.getAttribute("aria-invalid")).toBe("false");
+		expect(email.validity.valid).toBe(true);
+		expect(emailMsg.textContent).toBe("");
+		expect(username.getAttribute("aria-invalid")).toBe("true");
+		expect(button.disabled).toBe(true);
+
+		username.value = "bobby";
+		fire(username, "input");
+		expect(button.disabled).toBe(false);
+	});
+
+	it("does not clear on blur alone", () => {
+		const { form, email } = setupServer();
+		F.setErrors(form, { email: "Already registered." });
+		fire(email, "blur");
+		expect(email.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("shows client-side errors again after the edit", () => {
+		const { form, email, emailMsg } = setupServer();
+		F.setErrors(form, { email: "Already registered." });
+		email.value = "";
+		fire(email, "input");
+		expect(emailMsg.textContent).toBe("This field is required.");
+	});
+
+	it("clears the rendered error on edit even when validation waits for blur", () => {
+		const { form, email, emailMsg } = setupServer();
+		email.setAttribute("data-validate-on", "blur");
+		F.setErrors(form, { email: "Already registered." });
+		email.value = "new@x.com";
+		fire(email, "input");
+
+		expect(email.hasAttribute("aria-invalid")).toBe(false);
+		expect(emailMsg.textContent).toBe("");
+		expect(email.validity.valid).toBe(true);
+	});
+
+	it("replaces the errors from a previous call", () => {
+		const { form, email, username } = setupServer();
+		F.setErrors(form, { email: "Already registered." });
+		F.setErrors(form, { username: "Too popular." });
+		expect(email.hasAttribute("aria-invalid")).toBe(false);
+		expect(email.validity.valid).toBe(true);
+		expect(username.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("puts group errors on the group", () => {
+		const { form, get } = setup(`
+			<fieldset data-group aria-describedby="msg">
+				<input type="radio" name="plan" value="a" />
+				<input type="radio" name="plan" value="b" />
+			</fieldset>
+			<span id="msg"></span>
+		`);
+		F.setErrors(form, { plan: "That plan is sold out." });
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#msg").textContent).toBe("That plan is sold out.");
+
+		const radio = get("[value=b]");
+		radio.checked = true;
+		fire(radio, "change");
+		expect(get("fieldset").getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("clears a radio set's error when any radio in it is checked", () => {
+		const { form, get } = setup(`
+			<input type="radio" name="plan" value="a" aria-describedby="msg" />
+			<input type="radio" name="plan" value="b" />
+			<span id="msg"></span>
+			<button type="submit" data-submit>Save</button>
+		`);
+		F.setErrors(form, { plan: "That plan is sold out." });
+		expect(get("[value=a]").getAttribute("aria-invalid")).toBe("true");
+		expect(get("button").disabled).toBe(true);
+
+		const radio = get("[value=b]");
+		radio.checked = true;
+		fire(radio, "change");
+		expect(get("[value=a]").getAttribute("aria-invalid")).not.toBe("true");
+		expect(get("#msg").textContent).toBe("");
+		expect(get("button").disabled).toBe(false);
+	});
+
+	it("warns about names with no control", () => {
+		const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const { form } = setupServer();
+		F.setErrors(form, { base: "Something went wrong." });
+		expect(warn).toHaveBeenCalledWith('Formageddon: no control named "base" for setErrors');
+		warn.mockRestore();
+	});
+});
+
+describe("clearErrors", () => {
+	it("removes every server error", () => {
+		const { form, email, username, button } = setupServer();
+		F.setErrors(form, { email: "Already registered.", username: "Too popular." });
+		F.clearErrors(form);
+
+		expect(email.hasAttribute("aria-invalid")).toBe(false);
+		expect(username.hasAttribute("aria-invalid")).toBe(false);
+		expect(form.checkValidity()).toBe(true);
+		expect(button.disabled).toBe(false);
+	});
+
+	it("removes only the named errors", () => {
+		const { form, email, username } = setupServer();
+		F.setErrors(form, { email: "Already registered.", username: "Too popular." });
+		F.clearErrors(form, ["username"]);
+
+		expect(email.getAttribute("aria-invalid")).toBe("true");
+		expect(username.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("re-validates fields the user has interacted with", () => {
+		const { form, email, emailMsg } = setupServer();
+		fire(email, "blur");
+		F.setErrors(form, { email: "Already registered." });
+		F.clearErrors(form);
+		expect(email.getAttribute("aria-invalid")).toBe("false");
+		expect(emailMsg.textContent).toBe("");
+	});
+});
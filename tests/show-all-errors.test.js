@@ -0,0 +1,139 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+F.addValidator("has-digit", (value) => /\d/.test(value), { message: "Include a number." });
+F.addValidator("has-upper", (value) => /[A-Z]/.test(value), { message: "Include a capital letter." });
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+function items(msg) {
+	return [...msg.querySelectorAll("li")].map((li) => [li.dataset.rule, li.textContent, li.className]);
+}
+
+describe("data-show-all-errors", () => {
+	it("lists every failing rule at once", () => {
+		const { get } = setup(`
+			<input
+				data-show-all-errors
+				pattern=".{8,}"
+				data-pattern-err="Use at least 8 characters."
+				data-validator="has-digit has-upper"
+				aria-describedby="msg"
+			/>
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		type(input, "abc");
+
+		expect(items(get("#msg"))).toEqual([
+			["patternMismatch", "Use at least 8 characters.", "invalid"],
+			["has-digit", "Include a number.", "invalid"],
+			["has-upper", "Include a capital letter.", "invalid"],
+		]);
+
+		type(input, "abc1");
+		expect(items(get("#msg")).map(([rule]) => rule)).toEqual(["patternMismatch", "has-upper"]);
+	});
+
+	it("includes accept, comparison and conditional failures", () => {
+		const { get } = setup(`
+			<input id="a" value="x" />
+			<input id="b" data-show-all-errors data-confirm="#a" data-validator="has-digit" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("#b");
+		type(input, "y");
+		expect(items(get("#msg")).map(([rule]) => rule)).toEqual(["confirm", "has-digit"]);
+	});
+
+	it("shows the success message once every rule passes", () => {
+		const { get } = setup(`
+			<input data-show-all-errors data-validator="has-digit" data-success="Strong" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		const input = get("input");
+		type(input, "a");
+		expect(get("#msg").querySelector("ul")).not.toBeNull();
+
+		type(input, "a1");
+		expect(get("#msg").textContent).toBe("Strong");
+		expect(get("#msg").querySelector("ul")).toBeNull();
+	});
+
+	it("passes the rules to events and renderers", () => {
+		const { form, get } = setup(`<input required data-show-all-errors data-validator="has-digit" />`);
+		const listener = vi.fn();
+		form.addEventListener("formageddon:invalid", listener);
+		type(get("input"), "a");
+
+		expect(listener.mock.calls[0][0].detail).toEqual({
+			key: "has-digit",
+			message: "Include a number.",
+			rules: [{ key: "has-digit", message: "Include a number.", valid: false }],
+		});
+	});
+
+	it("leaves fields without the attribute showing one message", () => {
+		const { get } = setup(`
+			<input pattern=".{8,}" data-validator="has-digit" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		type(get("input"), "abc");
+		expect(get("#msg").textContent).toBe("The value does not match the required pattern.");
+	});
+});
+
+describe('data-show-all-errors="checklist"', () => {
+	function setupChecklist() {
+		const { get } = setup(`
+			<input
+				required
+				data-show-all-errors="checklist"
+				pattern=".{8,}"
+				data-pattern-err="At least 8 characters"
+				data-validator="has-digit has-upper"
+				aria-describedby="msg"
+			/>
+			<span id="msg"></span>
+		`);
+		return { input: get("input"), msg: get("#msg") };
+	}
+
+	it("marks passing rules as the user types", () => {
+		const { input, msg } = setupChecklist();
+		type(input, "abc1");
+
+		expect(items(msg)).toEqual([
+			["valueMissing", "This field is required.", "valid"],
+			["patternMismatch", "At least 8 characters", "invalid"],
+			["has-digit", "Include a number.", "valid"],
+			["has-upper", "Include a capital letter.", "invalid"],
+		]);
+	});
+
+	it("keeps the checklist when every rule passes", () => {
+		const { input, msg } = setupChecklist();
+		type(input, "Abcdefg1");
+
+		expect(input.getAttribute("aria-invalid")).toBe("false");
+		expect(msg.classList.contains("valid")).toBe(true);
+		expect(items(msg).every(([, , className]) => className === "valid")).toBe(true);
+	});
+
+	it("uses the configured classes for each rule", () => {
+		F.configure({ validClass: "ok", invalidClass: "bad" });
+		const { input, msg } = setupChecklist();
+		type(input, "abc1");
+		const classes = items(msg).map(([, , className]) => className);
+		F.configure({ validClass: "valid", invalidClass: "invalid" });
+
+		expect(classes).toEqual(["ok", "bad", "ok", "bad"]);
+	});
+});
@@ -0,0 +1,163 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupWizard(validate) {
+	const form = document.createElement("form");
+	if (validate) form.setAttribute("data-validate", validate);
+	form.innerHTML = `
+		<fieldset data-step id="account">
+			<input id="email" type="email" required aria-describedby="email-msg" />
+			<span id="email-msg"></span>
+			<input id="password" pattern=".{8,}" required />
+			<button type="button" data-next>Next</button>
+		</fieldset>
+		<fieldset data-step id="profile">
+			<input id="name" required />
+			<button type="button" data-prev>Back</button>
+			<button data-next>Next</button>
+		</fieldset>
+		<fieldset data-step id="done">
+			<input id="bio" />
+			<button data-prev>Back</button>
+			<button type="submit" data-submit>Finish</button>
+		</fieldset>
+	`;
+	document.body.appendChild(form);
+	F.initForm(form);
+	const get = (selector) => form.querySelector(selector);
+	const next = (id) => get(`#${id} [data-next]`);
+	const prev = (id) => get(`#${id} [data-prev]`);
+	return { form, get, next, prev };
+}
+
+function fill(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("multi-step forms", () => {
+	it("shows only the first step", () => {
+		const { get } = setupWizard();
+		expect(get("#account").hidden).toBe(false);
+		expect(get("#profile").hidden).toBe(true);
+		expect(get("#done").hidden).toBe(true);
+	});
+
+	it("gates the next button on the current step only", () => {
+		const { get, next } = setupWizard();
+		expect(next("account").getAttribute("aria-disabled")).toBe("true");
+
+		fill(get("#email"), "a@b.co");
+		expect(next("account").getAttribute("aria-disabled")).toBe("true");
+		fill(get("#password"), "longenough");
+		expect(next("account").hasAttribute("aria-disabled")).toBe(false);
+
+		// The later step's required field does not hold this step back
+		expect(next("profile").getAttribute("aria-disabled")).toBe("true");
+		// Only marked, so a click can still show what is missing
+		expect(next("account").disabled).toBe(false);
+	});
+
+	it("advances, moves focus into the next step and reports the index", () => {
+		const { form, get, next } = setupWizard();
+		const listener = vi.fn();
+		form.addEventListener("formageddon:step", listener);
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+
+		expect(get("#account").hidden).toBe(true);
+		expect(get("#profile").hidden).toBe(false);
+		expect(document.activeElement).toBe(get("#name"));
+		expect(listener.mock.calls[0][0].detail).toEqual({ index: 1, step: get("#profile") });
+	});
+
+	it("validates the whole step when advancing and focuses the first invalid field", () => {
+		const { get, next } = setupWizard();
+		fill(get("#password"), "longenough");
+		next("account").click();
+
+		expect(get("#profile").hidden).toBe(true);
+		expect(get("#email").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#email-msg").textContent).toBe("This field is required.");
+		expect(document.activeElement).toBe(get("#email"));
+	});
+
+	it("goes back without validating the current step", () => {
+		const { form, get, next, prev } = setupWizard();
+		const listener = vi.fn();
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+		form.addEventListener("formageddon:step", listener);
+		prev("profile").click();
+
+		expect(get("#account").hidden).toBe(false);
+		expect(document.activeElement).toBe(get("#email"));
+		expect(listener.mock.calls[0][0].detail.index).toBe(0);
+	});
+
+	it("stays on the step when the step event is cancelled", () => {
+		const { form, get, next } = setupWizard();
+		form.addEventListener("formageddon:step", (e) => e.preventDefault());
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+		expect(get("#account").hidden).toBe(false);
+	});
+
+	it("does not submit the form from a step button", () => {
+		const { form, get, next } = setupWizard();
+		const submit = vi.fn((e) => e.preventDefault());
+		form.addEventListener("submit", submit);
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+		fill(get("#name"), "Ada");
+		next("profile").click();
+
+		expect(get("#done").hidden).toBe(false);
+		expect(submit).not.toHaveBeenCalled();
+	});
+
+	it("returns to the first step on reset", () => {
+		const { form, get, next } = setupWizard();
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+		form.reset();
+		expect(get("#account").hidden).toBe(false);
+		expect(get("#profile").hidden).toBe(true);
+	});
+
+	it("keeps data-submit gated on the whole form", () => {
+		const { get } = setupWizard();
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		expect(get("[data-submit]").disabled).toBe(true);
+		fill(get("#name"), "Ada");
+		expect(get("[data-submit]").disabled).toBe(false);
+	});
+
+	it("returns to the step with the first invalid field on submit", () => {
+		const { form, get, next } = setupWizard("submit");
+		fill(get("#email"), "a@b.co");
+		fill(get("#password"), "longenough");
+		next("account").click();
+		get("#name").required = false;
+		fill(get("#name"), "");
+		next("profile").click();
+		get("#email").value = "";
+
+		const event = new Event("submit", { cancelable: true });
+		form.dispatchEvent(event);
+		expect(event.defaultPrevented).toBe(true);
+		expect(get("#account").hidden).toBe(false);
+		expect(get("#done").hidden).toBe(true);
+		expect(document.activeElement).toBe(get("#email"));
+	});
+});
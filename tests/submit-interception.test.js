@@ -0,0 +1,110 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function submit(form) {
+	const event = new Event("submit", { bubbles: true, cancelable: true });
+	form.dispatchEvent(event);
+	return event;
+}
+
+function setupSubmit(html) {
+	const form = document.createElement("form");
+	form.setAttribute("data-validate", "submit");
+	form.innerHTML = html;
+	document.body.appendChild(form);
+	F.initForm(form);
+	return { form, get: (selector) => form.querySelector(selector) };
+}
+
+describe('submit interception (data-validate="submit")', () => {
+	it("shows errors on untouched fields and cancels the submit", () => {
+		const { form, get } = setupSubmit(`
+			<input id="name" required aria-describedby="name-msg" />
+			<span id="name-msg"></span>
+			<input id="email" type="email" required aria-describedby="email-msg" />
+			<span id="email-msg"></span>
+		`);
+		const event = submit(form);
+		expect(event.defaultPrevented).toBe(true);
+		expect(get("#name").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#email").getAttribute("aria-invalid")).toBe("true");
+		expect(get("#email-msg").textContent).toBe("This field is required.");
+	});
+
+	it("focuses and scrolls to the first invalid field", () => {
+		const { form, get } = setupSubmit(`
+			<input id="first" value="ok" required />
+			<input id="second" required />
+			<input id="third" required />
+		`);
+		const scrollIntoView = vi.fn();
+		get("#second").scrollIntoView = scrollIntoView;
+		submit(form);
+		expect(document.activeElement).toBe(get("#second"));
+		expect(scrollIntoView).toHaveBeenCalled();
+	});
+
+	it("turns off native interactive validation so the submit event fires", () => {
+		const { form } = setupSubmit(`<input required />`);
+		expect(form.noValidate).toBe(true);
+	});
+
+	it("lets a valid form submit", () => {
+		const { form } = setupSubmit(`<input value="hello" required />`);
+		expect(submit(form).defaultPrevented).toBe(false);
+	});
+
+	it("blocks a submit triggered by requestSubmit", () => {
+		const { form, get } = setupSubmit(`<input required />`);
+		const listener = vi.fn((event) => event.defaultPrevented);
+		form.addEventListener("submit", listener);
+		form.requestSubmit();
+		expect(listener).toHaveReturnedWith(true);
+		expect(get("input").getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("works without a data-submit button", () => {
+		const { form, get } = setupSubmit(`
+			<input required />
+			<button type="submit">Send</button>
+		`);
+		expect(get("button").disabled).toBe(false);
+		expect(submit(form).defaultPrevented).toBe(true);
+	});
+
+	it("checks custom checks such as data-confirm", () => {
+		const { form, get } = setupSubmit(`
+			<input id="pw" value="abc" />
+			<input id="confirm" value="xyz" data-confirm="#pw" />
+		`);
+		expect(submit(form).defaultPrevented).toBe(true);
+		expect(document.activeElement).toBe(get("#confirm"));
+	});
+
+	it("ignores disabled and data-ignore fields", () => {
+		const { form } = setupSubmit(`
+			<input required disabled />
+			<input required data-ignore />
+		`);
+		expect(submit(form).defaultPrevented).toBe(false);
+	});
+
+	it("does not intercept submits for plain data-validate forms", () => {
+		const { form } = setup(`<input required />`);
+		form.setAttribute("data-validate", "");
+		expect(submit(form).defaultPrevented).toBe(false);
+	});
+
+	it("adds a single submit listener when initForm is called twice", () => {
+		const addEventListener = vi.spyOn(HTMLFormElement.prototype, "addEventListener");
+		const { form } = setupSubmit(`<input required />`);
+		F.initForm(form);
+		const submitCalls = addEventListener.mock.calls.filter(([event]) => event === "submit");
+		expect(submitCalls.length).toBe(1);
+		addEventListener.mockRestore();
+	});
+});
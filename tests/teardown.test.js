@@ -0,0 +1,197 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire, flushObserver } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+describe("destroyForm", () => {
+	it("stops validating fields after the form is destroyed", () => {
+		const { form, get } = setup(`<input required aria-describedby="msg" /><span id="msg"></span>`);
+		F.destroyForm(form);
+		const input = get("input");
+		fire(input, "blur");
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("removes listeners added to data-confirm origin elements", () => {
+		const password = document.createElement("input");
+		password.id = "password";
+		document.body.appendChild(password);
+		const { form, get } = setup(`<input data-confirm="#password" />`);
+		const confirm = get("input");
+
+		confirm.value = "abc";
+		password.value = "abc";
+		fire(confirm, "input");
+		F.destroyForm(form);
+
+		password.value = "xyz";
+		fire(password, "input");
+		expect(confirm.getAttribute("aria-invalid")).toBe("false");
+	});
+
+	it("stops managing the submit button", () => {
+		const { form, get } = setup(`
+			<input required />
+			<button type="submit" data-submit>Submit</button>
+		`);
+		F.destroyForm(form);
+		const input = get("input");
+		input.value = "hello";
+		fire(input, "input");
+		expect(get("button").disabled).toBe(true);
+	});
+
+	it("removes the reset listener", () => {
+		const { form, get } = setup(`
+			<input required />
+			<button type="reset">Reset</button>
+		`);
+		const input = get("input");
+		fire(input, "blur");
+		F.destroyForm(form);
+		form.dispatchEvent(new Event("reset"));
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("removes every listener it added", () => {
+		const { form, get } = setup(`
+			<input id="a" required />
+			<input data-confirm="#a" />
+			<button type="submit" data-submit>Submit</button>
+			<button type="reset">Reset</button>
+		`);
+		const removed = [form, get("#a"), get("[data-confirm]")].map((el) =>
+			vi.spyOn(el, "removeEventListener"),
+		);
+		F.destroyForm(form);
+		const count = removed.reduce((sum, spy) => sum + spy.mock.calls.length, 0);
+		// 3 events each: input, confirm, origin, submit, form state + 1 reset
+		expect(count).toBe(16);
+	});
+
+	it("can be initialised again without duplicate listeners", () => {
+		const { form, get } = setup(`<input required aria-describedby="msg" /><span id="msg"></span>`);
+		F.destroyForm(form);
+		F.initForm(form);
+
+		const msg = get("#msg");
+		let writeCount = 0;
+		const originalDescriptor = Object.getOwnPropertyDescriptor(Node.prototype, "textContent");
+		Object.defineProperty(msg, "textContent", {
+			set(v) { writeCount++; originalDescriptor.set.call(this, v); },
+			get() { return originalDescriptor.get.call(this); },
+			configurable: true,
+		});
+
+		fire(get("input"), "blur");
+		expect(writeCount).toBe(1);
+	});
+});
+
+describe("destroy", () => {
+	it("destroys initialised forms and disconnects the observer", async () => {
+		const { get } = setup(`<input required />`);
+		F.destroy();
+
+		const input = get("input");
+		fire(input, "blur");
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `<input required />`;
+		document.body.appendChild(form);
+		await flushObserver();
+
+		fire(form.querySelector("input"), "blur");
+		expect(form.querySelector("input").hasAttribute("aria-invalid")).toBe(false);
+
+		F.init();
+	});
+
+	it("picks forms up again after init", async () => {
+		F.destroy();
+		F.init();
+
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `<input required />`;
+		document.body.appendChild(form);
+		await flushObserver();
+
+		const input = form.querySelector("input");
+		fire(input, "blur");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+});
+
+describe("removed forms", () => {
+	it("destroys a data-validate form when it is removed from the document", async () => {
+		const container = document.createElement("div");
+		container.innerHTML = `<form data-validate><input required /></form>`;
+		document.body.appendChild(container);
+		await flushObserver();
+
+		const input = container.querySelector("input");
+		container.remove();
+		await flushObserver();
+
+		fire(input, "blur");
+		expect(input.hasAttribute("aria-invalid")).toBe(false);
+	});
+
+	it("re-initialises a removed form when it is added back", async () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `<input required />`;
+		document.body.appendChild(form);
+		await flushObserver();
+
+		form.remove();
+		await flushObserver();
+		document.body.appendChild(form);
+		await flushObserver();
+
+		const input = form.querySelector("input");
+		fire(input, "blur");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	it("keeps the initForm options of a form that is added back", async () => {
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `<input required aria-describedby="msg" /><span id="msg"></span>`;
+		document.body.appendChild(form);
+		await flushObserver();
+		F.initForm(form, { invalidClass: "err" });
+
+		form.remove();
+		await flushObserver();
+		document.body.appendChild(form);
+		await flushObserver();
+
+		fire(form.querySelector("input"), "blur");
+		const msg = form.querySelector("#msg");
+		expect(msg.classList.contains("err")).toBe(true);
+		expect(msg.classList.contains("invalid")).toBe(false);
+	});
+
+	it("keeps a form that is moved within the document", async () => {
+		const target = document.createElement("div");
+		document.body.appendChild(target);
+		const form = document.createElement("form");
+		form.setAttribute("data-validate", "");
+		form.innerHTML = `<input required />`;
+		document.body.appendChild(form);
+		await flushObserver();
+
+		target.appendChild(form);
+		await flushObserver();
+
+		const input = form.querySelector("input");
+		fire(input, "blur");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+});
@@ -0,0 +1,174 @@
+import { beforeEach, describe, it, expect, vi } from "vitest";
+import { F, setup, fire } from "./helpers.js";
+
+beforeEach(() => {
+	document.body.innerHTML = "";
+});
+
+function setupTiming(timing, { onForm = false } = {}) {
+	const { form, get } = setup(`
+		<input type="email" required ${onForm ? "" : `data-validate-on="${timing}"`} aria-describedby="msg" />
+		<span id="msg"></span>
+	`);
+	if (onForm) form.setAttribute("data-validate-on", timing);
+	return { form, input: get("input"), msg: get("#msg") };
+}
+
+function type(input, value) {
+	input.value = value;
+	fire(input, "input");
+}
+
+describe("validation timing (data-validate-on)", () => {
+	it("validates on every input by default", () => {
+		const { input } = setupTiming("input");
+		type(input, "a");
+		expect(input.getAttribute("aria-invalid")).toBe("true");
+	});
+
+	describe("blur", () => {
+		it("does not validate while typing", () => {
+			const { input } = setupTiming("blur");
+			type(input, "a");
+			expect(input.hasAttribute("aria-invalid")).toBe(false);
+		});
+
+		it("validates on blur and change", () => {
+			const { input } = setupTiming("blur");
+			type(input, "a");
+			fire(input, "blur");
+			expect(input.getAttribute("aria-invalid")).toBe("true");
+
+			input.value = "a@b.com";
+			fire(input, "change");
+			expect(input.getAttribute("aria-invalid")).toBe("false");
+		});
+
+		it("can be set on the form", () => {
+			const { input } = setupTiming("blur", { onForm: true });
+			type(input, "a");
+			expect(input.hasAttribute("aria-invalid")).toBe(false);
+		});
+
+		it("lets the field override the form", () => {
+			const { form, get } = setup(`<input type="email" required data-validate-on="input" />`);
+			form.setAttribute("data-validate-on", "blur");
+			type(get("input"), "a");
+			expect(get("input").getAttribute("aria-invalid")).toBe("true");
+		});
+	});
+
+	describe("lazy", () => {
+		it("waits for blur before showing an error", () => {
+			const { input, msg } = setupTiming("lazy");
+			type(input, "a");
+			expect(msg.textContent).toBe("");
+			fire(input, "blur");
+			expect(msg.textContent).toBe("The value is not the correct type.");
+		});
+
+		it("validates live on input once the field is invalid", () => {
+			const { input } = setupTiming("lazy");
+			type(input, "a");
+			fire(input, "blur");
+			type(input, "a@b.com");
+			expect(input.getAttribute("aria-invalid")).toBe("false");
+		});
+
+		it("goes back to waiting for blur once the field is valid", () => {
+			const { input } = setupTiming("lazy");
+			type(input, "a");
+			fire(input, "blur");
+			type(input, "a@b.com");
+			type(input, "a@");
+			expect(input.getAttribute("aria-invalid")).toBe("false");
+		});
+	});
+
+	describe("submit", () => {
+		it("ignores input, change and blur until the form is submitted", () => {
+			const form = document.createElement("form");
+			form.setAttribute("data-validate", "submit");
+			form.innerHTML = `<input type="email" required data-validate-on="submit" />`;
+			document.body.appendChild(form);
+			F.initForm(form);
+
+			const input = form.querySelector("input");
+			type(input, "a");
+			fire(input, "change");
+			fire(input, "blur");
+			expect(input.hasAttribute("aria-invalid")).toBe(false);
+		});
+
+		it("validates on submit and then live while invalid", () => {
+			const form = document.createElement("form");
+			form.setAttribute("data-validate", "submit");
+			form.setAttribute("data-validate-on", "submit");
+			form.innerHTML = `<input type="email" required />`;
+			document.body.appendChild(form);
+			F.initForm(form);
+
+			const input = form.querySelector("input");
+			form.dispatchEvent(new Event("submit", { cancelable: true }));
+			expect(input.getAttribute("aria-invalid")).toBe("true");
+
+			type(input, "a@b.com");
+			expect(input.getAttribute("aria-invalid")).toBe("false");
+		});
+
+		it("falls back to blur with a warning when the form does not validate on submit", () => {
+			const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+			const form = document.createElement("form");
+			form.setAttribute("data-validate-on", "submit");
+			form.innerHTML = `<input type="email" required />`;
+			document.body.appendChild(form);
+			F.initForm(form);
+			expect(warn).toHaveBeenCalledWith(
+				'Formageddon: data-validate-on="submit" needs data-validate="submit" on the form, validating on blur instead',
+			);
+			warn.mockRestore();
+
+			const input = form.querySelector("input");
+			type(input, "a");
+			expect(input.hasAttribute("aria-invalid")).toBe(false);
+			fire(input, "blur");
+			expect(input.getAttribute("aria-invalid")).toBe("true");
+		});
+	});
+});
+
+describe("touched and dirty state", () => {
+	it("holds back errors on an untouched confirm field when the origin changes", () => {
+		const { get } = setup(`
+			<input id="password" />
+			<input id="confirm" required data-confirm="#password" aria-describedby="msg" />
+			<span id="msg"></span>
+		`);
+		type(get("#password"), "secret");
+		expect(get("#confirm").hasAttribute("aria-invalid")).toBe(false);
+		expect(get("#msg").textContent).toBe("");
+	});
+
+	it("is reported by validateField", () => {
+		const { get } = setup(`<input required />`);
+		const input = get("input");
+		expect(F.validateField(input, { silent: true })).toMatchObject({ touched: false, dirty: false });
+
+		type(input, "a");
+		expect(F.validateField(input, { silent: true })).toMatchObject({ touched: false, dirty: true });
+
+		fire(input, "blur");
+		expect(F.validateField(input, { silent: true })).toMatchObject({ touched: true, dirty: true });
+	});
+
+	it("is cleared on reset", () => {
+		const { form, get } = setup(`
+			<input required />
+			<button type="reset">Reset</button>
+		`);
+		const input = get("input");
+		fire(input, "blur");
+		form.dispatchEvent(new Event("reset"));
+		expect(F.validateField(input, { silent: true }).touched).toBe(false);
+	});
+});